@@ -5,69 +5,655 @@ const CONFIG = {
         starts: '#category-starts',
         operator: '#category-operators',
         variable: '#category-variables',
-        string: '#category-string'
+        string: '#category-string',
+        func: '#category-functions',
+        expression: '#category-expressions'
     },
     DEFAULT_POS: { left: 60, top: 60 },
+    LIMITS: {
+        maxSteps: 1000000,
+        maxIterations: 100000,
+        maxCallDepth: 100,
+        maxArraySize: 100000
+    },
+    SCOPE_MODE: 'strict',
+    STORAGE_KEYS: {
+        autosave: 'block_code:autosave',
+        autosaveEnabled: 'block_code:autosave-enabled'
+    },
 };
-// Хранилище переменных и массивов во время работы программы
-class Environment {
-    constructor() {
+// Какой узел программы строится из какого блока меню
+const BLOCK_SPECS = {
+    'Начало': { kind: 'root', fields: [], slots: ['body'] },
+    'Переменная': { kind: 'varDecl', fields: ['names'], slots: [], preset: { type: 'int' } },
+    'Вещественные': { kind: 'varDecl', fields: ['names'], slots: [], preset: { type: 'float' } },
+    'Логические': { kind: 'varDecl', fields: ['names'], slots: [], preset: { type: 'bool' } },
+    'Массив': { kind: 'arrayDecl', fields: ['type', 'name', 'size', 'cols', 'init'], slots: [] },
+    'Присвоить': { kind: 'assign', fields: ['target', 'value'], slots: [] },
+    'Строки': { kind: 'varDecl', fields: ['names'], slots: [], preset: { type: 'string' } },
+    'Символы': { kind: 'varDecl', fields: ['names'], slots: [], preset: { type: 'char' } },
+    'Присвоить строку': { kind: 'assignStr', fields: ['target', 'value'], slots: [] },
+    'Если': { kind: 'if', fields: ['cond'], slots: ['then'] },
+    'Если-Иначе': { kind: 'ifElse', fields: ['cond'], slots: ['then', 'else'] },
+    'Пока': { kind: 'while', fields: ['cond'], slots: ['body'] },
+    'Для': { kind: 'for', fields: ['init', 'cond', 'step'], slots: ['body'] },
+    'Прервать': { kind: 'break', fields: [], slots: [] },
+    'Продолжить': { kind: 'continue', fields: [], slots: [] },
+    'Вывести': { kind: 'print', fields: ['items'], slots: [] },
+    'Ввести': { kind: 'input', fields: ['targets'], slots: [] },
+    'Функция': { kind: 'function', fields: ['name', 'params'], slots: ['body'] },
+    'Вернуть': { kind: 'return', fields: ['value'], slots: [] },
+    'Вызвать': { kind: 'call', fields: ['expr'], slots: [] },
+};
+// Подписи слотов для имён областей видимости
+const SLOT_LABELS = {
+    body: 'тело',
+    then: 'Тогда',
+    else: 'Иначе'
+};
+// Правила типов: арифметика, неявные преобразования при присваивании и явные int(x), float(x), str(x)...
+class ValueTypes {
+    // Значение по умолчанию для только что объявленной переменной
+    static defaultValue(type) {
+        switch (type) {
+            case 'int':
+            case 'float': return 0;
+            case 'char': return '\0';
+            case 'bool': return false;
+            case 'string': return '';
+        }
+    }
+    // Строка или символ — то, что можно склеивать и сравнивать как текст
+    static isText(v) {
+        return v.type === 'string' || v.type === 'char';
+    }
+    // Число для арифметики: символ — его код, логическое — 0 или 1
+    static toNumber(v, op) {
+        switch (v.type) {
+            case 'int':
+            case 'float': return v.value;
+            case 'char': return v.value.charCodeAt(0) || 0;
+            case 'bool': return v.value ? 1 : 0;
+            case 'string': throw new Error(`Операция ${op} не применима к строке "${v.value}"`);
+        }
+    }
+    // Истинность условия: логическое или число (не 0); строка условием быть не может
+    static truthy(v) {
+        if (v.type === 'bool')
+            return v.value;
+        if (v.type === 'string')
+            throw new Error(`Условие должно быть логическим или числом, а не строкой "${v.value}"`);
+        return this.toNumber(v, 'условия') !== 0;
+    }
+    // Текст значения для вывода
+    static format(v) {
+        if (v.type === 'char' && v.value === '\0')
+            return '';
+        return String(v.value);
+    }
+    // Значение с кавычками по типу — для инспектора и журнала вызовов
+    static display(v) {
+        if (v.type === 'string')
+            return `"${v.value}"`;
+        if (v.type === 'char')
+            return v.value === '\0' ? `'\\0'` : `'${v.value}'`;
+        return String(v.value);
+    }
+    // Символ по коду с проверкой диапазона
+    static charFromCode(code) {
+        code = Math.trunc(code);
+        if (code < 0 || code > 0xFFFF)
+            throw new Error(`Код символа вне диапазона 0..65535: ${code}`);
+        return { type: 'char', value: String.fromCharCode(code) };
+    }
+    // Неявное преобразование при присваивании и передаче аргумента (как в C++: float -> int отбрасывает дробь)
+    static coerce(v, to, name) {
+        if (v.type === to)
+            return { type: to, value: v.value };
+        if (v.type === 'string' || (to === 'string' && v.type !== 'char')) {
+            const hint = to === 'string' ? 'str(x)' : `${to}(x)`;
+            throw new Error(`${name}: нельзя присвоить ${v.type} в ${to} — используйте ${hint}`);
+        }
+        switch (to) {
+            case 'int': return { type: 'int', value: Math.trunc(this.toNumber(v, '=')) };
+            case 'float': return { type: 'float', value: this.toNumber(v, '=') };
+            case 'bool': return { type: 'bool', value: this.toNumber(v, '=') !== 0 };
+            case 'char': return this.charFromCode(this.toNumber(v, '='));
+            case 'string': return { type: 'string', value: v.value };
+        }
+    }
+    // Явное преобразование: строки разбираются целиком, лишние символы — ошибка (в отличие от parseInt)
+    static convert(v, to) {
+        if (v.type !== 'string') {
+            if (to === 'string')
+                return { type: 'string', value: this.format(v) };
+            return this.coerce(v, to, `${to}()`);
+        }
+        const text = v.value;
+        const fail = () => {
+            throw new Error(`Не удалось преобразовать "${text}" в ${to}`);
+        };
+        switch (to) {
+            case 'int':
+                if (!/^\s*[+-]?\d+\s*$/.test(text))
+                    fail();
+                return { type: 'int', value: parseInt(text, 10) };
+            case 'float':
+                if (!/^\s*[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?\s*$/.test(text))
+                    fail();
+                return { type: 'float', value: parseFloat(text) };
+            case 'bool':
+                if (text.trim() === 'true')
+                    return { type: 'bool', value: true };
+                if (text.trim() === 'false')
+                    return { type: 'bool', value: false };
+                return fail();
+            case 'char':
+                if (text.length !== 1)
+                    fail();
+                return { type: 'char', value: text };
+            case 'string':
+                return { type: 'string', value: text };
+        }
+    }
+    // Введённый текст как значение нужного типа: строка берётся целиком, остальное разбирается строго
+    static parseInput(text, type) {
+        if (type === 'string')
+            return { type: 'string', value: text };
+        return this.convert({ type: 'string', value: type === 'char' ? text : text.trim() }, type);
+    }
+    // Арифметика: int с int — целый результат (деление нацело), иначе вещественный
+    static arithmetic(op, l, r) {
+        if (op === '+' && (l.type === 'string' || r.type === 'string')) {
+            if (this.isText(l) && this.isText(r))
+                return { type: 'string', value: this.format(l) + this.format(r) };
+            throw new Error(`Нельзя сложить ${l.type} и ${r.type} — преобразуйте число через str(x)`);
+        }
+        const a = this.toNumber(l, op);
+        const b = this.toNumber(r, op);
+        const isFloat = l.type === 'float' || r.type === 'float';
+        let result;
+        switch (op) {
+            case '+':
+                result = a + b;
+                break;
+            case '-':
+                result = a - b;
+                break;
+            case '*':
+                result = a * b;
+                break;
+            case '/':
+                if (b === 0)
+                    throw new Error("Деление на ноль");
+                result = isFloat ? a / b : Math.trunc(a / b);
+                break;
+            case '%':
+                if (isFloat)
+                    throw new Error("Остаток % определён только для целых чисел");
+                if (b === 0)
+                    throw new Error("Деление на ноль");
+                result = a % b;
+                break;
+            default: throw new Error(`Неизвестный оператор: ${op}`);
+        }
+        return { type: isFloat ? 'float' : 'int', value: result };
+    }
+    // Сравнение: числа с числами, строки (и символы) со строками — посимвольно по кодам
+    static compare(op, l, r) {
+        let a;
+        let b;
+        if (l.type === 'string' || r.type === 'string') {
+            if (!this.isText(l) || !this.isText(r)) {
+                throw new Error(`Нельзя сравнить ${l.type} и ${r.type}`);
+            }
+            a = this.format(l);
+            b = this.format(r);
+        }
+        else {
+            a = this.toNumber(l, op);
+            b = this.toNumber(r, op);
+        }
+        let result;
+        switch (op) {
+            case '==':
+                result = a === b;
+                break;
+            case '!=':
+                result = a !== b;
+                break;
+            case '<':
+                result = a < b;
+                break;
+            case '>':
+                result = a > b;
+                break;
+            case '<=':
+                result = a <= b;
+                break;
+            case '>=':
+                result = a >= b;
+                break;
+            default: throw new Error(`Неизвестный оператор: ${op}`);
+        }
+        return { type: 'bool', value: result };
+    }
+}
+ValueTypes.ALL = ['int', 'float', 'char', 'bool', 'string'];
+// Генератор псевдослучайных чисел с зерном (mulberry32): одно зерно — одна и та же последовательность
+class SeededRandom {
+    constructor(seed = Date.now()) {
+        // Брали ли числа — тогда есть смысл сообщить зерно
+        this.used = false;
+        this.seed = seed >>> 0;
+        this.state = this.seed;
+    }
+    // Следующее число в [0, 1)
+    next() {
+        this.used = true;
+        let t = this.state = (this.state + 0x6D2B79F5) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+    // Целое от a до b включительно
+    int(a, b) {
+        return a + Math.floor(this.next() * (b - a + 1));
+    }
+}
+// Ввод из заранее заданного текста (по строке на значение) — для запусков без участия человека
+class BufferedInput {
+    constructor(text) {
+        this.lines = text ? text.split(/\r?\n/) : [];
+        // Пустая строка в конце файла — не отдельное значение
+        if (this.lines.length > 0 && this.lines[this.lines.length - 1] === '')
+            this.lines.pop();
+    }
+    async readLine(_prompt) {
+        return this.lines.length > 0 ? this.lines.shift() : null;
+    }
+    invalid(message) {
+        throw new Error(message);
+    }
+}
+// Реестр встроенных функций выражений: новая функция добавляется через register, грамматику трогать не нужно
+class Builtins {
+    static register(name, fn) {
+        if (!/^[a-zA-Z_]\w*$/.test(name))
+            throw new Error(`Недопустимое имя встроенной функции: ${name}`);
+        if (this.registry.has(name))
+            throw new Error(`Встроенная функция ${name} уже зарегистрирована`);
+        this.registry.set(name, fn);
+    }
+    static has(name) {
+        return this.registry.has(name);
+    }
+    static get(name) {
+        return this.registry.get(name);
+    }
+    // Подходит ли аргумент под тип параметра; 'string' принимает и символ
+    static accepts(param, arg) {
+        switch (param) {
+            case 'any': return true;
+            case 'number': return arg.type !== 'string';
+            case 'int': return arg.type === 'int' || arg.type === 'char' || arg.type === 'bool';
+            case 'char': return arg.type === 'char' || (arg.type === 'string' && arg.value.length === 1);
+            case 'string': return arg.type === 'string' || arg.type === 'char';
+        }
+    }
+    // Проверка количества и типов аргументов, затем вызов
+    static call(name, args, env) {
+        const fn = this.registry.get(name);
+        if (!fn)
+            throw new Error(`Функция ${name} не объявлена`);
+        if (args.length !== fn.params.length) {
+            throw new Error(`${name}() ожидает ${fn.params.length} аргумент(ов), передано ${args.length}`);
+        }
+        fn.params.forEach((param, i) => {
+            if (!this.accepts(param, args[i])) {
+                throw new Error(`${name}(): аргумент ${i + 1} должен быть ${param}, а не ${args[i].type}`);
+            }
+        });
+        return fn.run(args, env);
+    }
+    // Аргумент как текст (символ тоже)
+    static text(v) {
+        return ValueTypes.format(v);
+    }
+    // Аргумент как число (символ — код, логическое — 0 или 1)
+    static num(v) {
+        return ValueTypes.toNumber(v, 'аргумента');
+    }
+    // Числовой результат: вещественный, если хоть один аргумент вещественный
+    static numeric(value, args, name) {
+        if (!Number.isFinite(value))
+            throw new Error(`${name}(): результат не является конечным числом`);
+        return { type: args.some(a => a.type === 'float') ? 'float' : 'int', value };
+    }
+    static float(value, name) {
+        if (!Number.isFinite(value))
+            throw new Error(`${name}(): результат не является конечным числом`);
+        return { type: 'float', value };
+    }
+}
+Builtins.registry = new Map();
+// Явные преобразования типов: int(x), float(x), char(x), bool(x), string(x) и str(x)
+['int', 'float', 'char', 'bool', 'string'].forEach(type => {
+    Builtins.register(type, { params: ['any'], result: type, run: ([v]) => ValueTypes.convert(v, type) });
+});
+Builtins.register('str', { params: ['any'], result: 'string', run: ([v]) => ValueTypes.convert(v, 'string') });
+// Строки
+Builtins.register('len', {
+    params: ['string'], result: 'int',
+    run: ([s]) => ({ type: 'int', value: Builtins.text(s).length })
+});
+Builtins.register('substr', {
+    params: ['string', 'int', 'int'], result: 'string',
+    run: ([s, startArg, countArg]) => {
+        const text = Builtins.text(s);
+        const start = Builtins.num(startArg);
+        const count = Builtins.num(countArg);
+        // Как std::string::substr: начало в пределах 0..len, лишняя длина обрезается
+        if (start < 0 || start > text.length)
+            throw new Error(`substr: начало ${start} вне строки длины ${text.length}`);
+        if (count < 0)
+            throw new Error(`substr: отрицательная длина ${count}`);
+        return { type: 'string', value: text.substring(start, start + count) };
+    }
+});
+Builtins.register('find', {
+    params: ['string', 'string'], result: 'int',
+    run: ([s, t]) => ({ type: 'int', value: Builtins.text(s).indexOf(Builtins.text(t)) })
+});
+Builtins.register('upper', {
+    params: ['string'], result: 'string',
+    run: ([s]) => ({ type: 'string', value: Builtins.text(s).toUpperCase() })
+});
+Builtins.register('lower', {
+    params: ['string'], result: 'string',
+    run: ([s]) => ({ type: 'string', value: Builtins.text(s).toLowerCase() })
+});
+Builtins.register('ord', {
+    params: ['char'], result: 'int',
+    run: ([c]) => ({ type: 'int', value: c.value.charCodeAt(0) })
+});
+Builtins.register('chr', {
+    params: ['int'], result: 'char',
+    run: ([code]) => ValueTypes.coerce({ type: 'int', value: Builtins.num(code) }, 'char', 'chr()')
+});
+// Математика
+Builtins.register('abs', {
+    params: ['number'],
+    run: (args) => Builtins.numeric(Math.abs(Builtins.num(args[0])), args, 'abs')
+});
+Builtins.register('min', {
+    params: ['number', 'number'],
+    run: (args) => Builtins.numeric(Math.min(Builtins.num(args[0]), Builtins.num(args[1])), args, 'min')
+});
+Builtins.register('max', {
+    params: ['number', 'number'],
+    run: (args) => Builtins.numeric(Math.max(Builtins.num(args[0]), Builtins.num(args[1])), args, 'max')
+});
+Builtins.register('pow', {
+    params: ['number', 'number'], result: 'float',
+    run: ([a, b]) => Builtins.float(Math.pow(Builtins.num(a), Builtins.num(b)), 'pow')
+});
+Builtins.register('sqrt', {
+    params: ['number'], result: 'float',
+    run: ([x]) => {
+        if (Builtins.num(x) < 0)
+            throw new Error(`sqrt(): отрицательный аргумент ${Builtins.num(x)}`);
+        return Builtins.float(Math.sqrt(Builtins.num(x)), 'sqrt');
+    }
+});
+// Округления возвращают int, чтобы результат сразу годился как индекс
+Builtins.register('floor', {
+    params: ['number'], result: 'int',
+    run: ([x]) => ({ type: 'int', value: Math.floor(Builtins.num(x)) })
+});
+Builtins.register('ceil', {
+    params: ['number'], result: 'int',
+    run: ([x]) => ({ type: 'int', value: Math.ceil(Builtins.num(x)) })
+});
+Builtins.register('round', {
+    params: ['number'], result: 'int',
+    // Половина округляется от нуля, как std::round: round(-2.5) = -3
+    run: ([x]) => ({ type: 'int', value: Math.sign(Builtins.num(x)) * Math.round(Math.abs(Builtins.num(x))) })
+});
+Builtins.register('random', {
+    params: ['int', 'int'], result: 'int',
+    run: ([a, b], env) => {
+        const from = Builtins.num(a);
+        const to = Builtins.num(b);
+        if (from > to)
+            throw new Error(`random(a, b): a = ${from} больше b = ${to}`);
+        return { type: 'int', value: env.random.int(from, to) };
+    }
+});
+// Сработал лимит выполнения; блок, где это случилось, дописывается в сообщение при первой обработке
+class LimitError extends Error {
+    constructor(limit, value, detail = '') {
+        super(`Превышен лимит «${LimitError.LABELS[limit]}» (${value})${detail ? `: ${detail}` : ''}`);
+        this.node = null;
+        this.limit = limit;
+    }
+    // Блок, в котором сработал лимит (запоминаем только самый внутренний)
+    at(node) {
+        if (this.node)
+            return;
+        this.node = node;
+        this.message += ` — блок '${node.name}'`;
+    }
+}
+LimitError.LABELS = {
+    maxSteps: 'шагов за запуск',
+    maxIterations: 'итераций одного цикла',
+    maxCallDepth: 'глубина рекурсии',
+    maxArraySize: 'размер массива'
+};
+// Набор переменных и массивов: глобальный, кадр вызова функции или тело слота
+class Scope {
+    constructor(label, parent = null) {
         this.vars = {};
         this.arrays = {};
+        this.label = label;
+        this.parent = parent;
     }
-    // Получает значение переменной, проверяя её существование
-    getVar(name) {
-        if (this.vars[name] === undefined) {
-            throw new Error(`Переменная ${name} не объявлена`);
+}
+// Хранилище переменных и массивов во время работы программы
+class Environment {
+    constructor(maxCallDepth = CONFIG.LIMITS.maxCallDepth, scopeMode = CONFIG.SCOPE_MODE, seed) {
+        this.global = new Scope('Глобальные');
+        this.scope = this.global;
+        this.functions = {};
+        this.callStack = [];
+        this.evaluator = new ExpressionEvaluator(this);
+        this.maxCallDepth = maxCallDepth;
+        this.scopeMode = scopeMode;
+        this.random = new SeededRandom(seed);
+    }
+    // Открывает вложенную область (тело слота)
+    pushScope(label) {
+        this.scope = new Scope(label, this.scope);
+    }
+    // Закрывает текущую область: её имена пропадают
+    popScope() {
+        if (this.scope.parent)
+            this.scope = this.scope.parent;
+    }
+    // Проверка повторного объявления и сокрытия внешних имён по текущим правилам
+    checkDeclaration(name) {
+        if (this.scopeMode === 'allow')
+            return;
+        if (this.scope.vars[name] !== undefined || this.scope.arrays[name]) {
+            throw new Error(`Имя ${name} уже объявлено в этой области видимости`);
+        }
+        if (this.scopeMode === 'no-shadow') {
+            for (let s = this.scope.parent; s; s = s.parent) {
+                if (s.vars[name] !== undefined || s.arrays[name]) {
+                    throw new Error(`Имя ${name} скрывает объявление из области "${s.label}"`);
+                }
+            }
         }
-        return this.vars[name].value;
     }
-    // Возвращает тип переменной (number или string)
-    getVarType(name) {
-        if (this.vars[name] === undefined) {
-            throw new Error(`Переменная ${name} не объявлена`);
+    // Ищем область, где объявлена переменная: сначала текущая, затем внешние
+    findVarScope(name) {
+        for (let s = this.scope; s; s = s.parent) {
+            if (s.vars[name] !== undefined)
+                return s;
         }
-        return this.vars[name].type;
+        return null;
     }
-    // Устанавливает значение переменной, проверяя её существование и тип
-    setVar(name, value, expectedType) {
-        if (this.vars[name] === undefined) {
+    // Видна ли переменная из текущей области
+    hasVar(name) {
+        return this.findVarScope(name) !== null;
+    }
+    // Переменная из ближайшей области, где она объявлена
+    lookupVar(name) {
+        const scope = this.findVarScope(name);
+        if (!scope) {
             throw new Error(`Переменная ${name} не объявлена`);
         }
-        if (this.vars[name].type !== expectedType) {
-            throw new Error(`${name} — это ${this.vars[name].type}, ожидался ${expectedType}`);
-        }
-        this.vars[name].value = value;
+        return scope.vars[name];
+    }
+    // Получает значение переменной, проверяя её существование
+    getVar(name) {
+        return this.lookupVar(name).value;
+    }
+    // Значение переменной вместе с типом (копия — для вычисления выражений)
+    getTyped(name) {
+        const v = this.lookupVar(name);
+        return { type: v.type, value: v.value };
+    }
+    // Возвращает тип переменной
+    getVarType(name) {
+        return this.lookupVar(name).type;
     }
-    // Объявляет новую переменную с заданным типом и начальным значением по умолчанию
-    declareVar(name, type) {
-        this.vars[name] = {
-            value: type === 'number' ? 0 : '',
+    // Присваивает значение, приводя его к типу переменной (int = 3.7 даёт 3)
+    setVar(name, value) {
+        const v = this.lookupVar(name);
+        v.value = ValueTypes.coerce(value, v.type, name).value;
+    }
+    // Объявляет новую переменную в текущей области (значение по умолчанию — ноль своего типа)
+    declareVar(name, type, value) {
+        this.checkDeclaration(name);
+        this.scope.vars[name] = {
+            value: value ?? ValueTypes.defaultValue(type),
             type
         };
     }
-    // Основная функция для вычисления выражений (математика и логика)
-    evaluate(expr) {
+    // Объявляет массив в текущей области, заполненный значениями по умолчанию своего типа
+    declareArray(name, type, dims) {
+        this.checkDeclaration(name);
+        const size = dims.reduce((a, b) => a * b, 1);
+        return this.scope.arrays[name] = { type, dims, values: new Array(size).fill(ValueTypes.defaultValue(type)) };
+    }
+    // Виден ли из текущей области массив с таким именем (и не скрыт переменной)
+    hasArray(name) {
+        for (let s = this.scope; s; s = s.parent) {
+            if (s.vars[name] !== undefined)
+                return false;
+            if (s.arrays[name])
+                return true;
+        }
+        return false;
+    }
+    // Возвращает массив, видимый из текущей области
+    getArray(name) {
+        for (let s = this.scope; s; s = s.parent) {
+            if (s.arrays[name])
+                return s.arrays[name];
+        }
+        throw new Error(`Массив ${name} не объявлен`);
+    }
+    // Цепочка областей от глобальной до текущей (для инспектора)
+    getScopeChain() {
+        const chain = [];
+        for (let s = this.scope; s; s = s.parent)
+            chain.unshift(s);
+        return chain;
+    }
+    // Регистрирует пользовательскую функцию перед запуском
+    defineFunction(fn) {
+        if (!/^[a-zA-Z_]\w*$/.test(fn.name))
+            throw new Error(`Недопустимое имя функции: ${fn.name}`);
+        if (Builtins.has(fn.name))
+            throw new Error(`Имя ${fn.name} занято встроенной функцией`);
+        if (this.functions[fn.name])
+            throw new Error(`Функция ${fn.name} объявлена дважды`);
+        this.functions[fn.name] = fn;
+    }
+    // Вызов функции: новый кадр поверх глобальных, параметры, тело, возврат значения
+    async callFunction(name, args) {
+        const fn = this.functions[name];
+        if (!fn)
+            throw new Error(`Функция ${name} не объявлена`);
+        const params = fn.params;
+        if (params.length !== args.length) {
+            throw new Error(`Функция ${name} ожидает ${params.length} аргумент(ов), передано ${args.length}`);
+        }
+        if (this.callStack.length >= this.maxCallDepth) {
+            throw new LimitError('maxCallDepth', this.maxCallDepth, `переполнение стека при вызове ${name}()`);
+        }
+        const frame = new Scope(`${name}()`, this.global);
+        // Параметр получает тип переданного аргумента
+        params.forEach((param, i) => frame.vars[param] = { type: args[i].type, value: args[i].value });
+        const callerScope = this.scope;
+        this.scope = frame;
+        this.callStack.push(name);
+        try {
+            await fn.run(this);
+            return { type: 'int', value: 0 };
+        }
+        catch (error) {
+            if (error instanceof ReturnSignal)
+                return error.value;
+            if (error instanceof BreakSignal || error instanceof ContinueSignal) {
+                throw new Error(`"${error.message}" вне цикла в функции ${name}`);
+            }
+            throw error;
+        }
+        finally {
+            this.callStack.pop();
+            this.scope = callerScope;
+        }
+    }
+    // Основная функция для вычисления выражений (математика, логика и вызовы функций)
+    async evaluate(expr) {
         if (!expr.trim())
-            return 0;
-        const parser = new ExpressionParser(this);
-        return parser.evaluate(expr);
+            return { type: 'int', value: 0 };
+        return this.evaluator.evaluate(ExpressionParser.parseCached(expr));
+    }
+    // Условие ветвления или цикла
+    async evaluateCondition(expr) {
+        return ValueTypes.truthy(await this.evaluate(expr));
     }
 }
-// Сам движок парсинга математики и логики
+// Разбор строки выражения в дерево (AST); само вычисление — в ExpressionEvaluator
 class ExpressionParser {
-    constructor(env) {
+    constructor() {
         this.pos = 0;
         this.tokens = [];
-        this.env = env;
+    }
+    // Разбор с кэшем: условие цикла разбирается один раз, а не на каждой итерации
+    static parseCached(expr) {
+        const cached = this.cache.get(expr);
+        if (cached)
+            return cached;
+        const ast = new ExpressionParser().parse(expr);
+        if (this.cache.size >= this.CACHE_LIMIT) {
+            // Выбрасываем самое старое выражение
+            this.cache.delete(this.cache.keys().next().value);
+        }
+        this.cache.set(expr, ast);
+        return ast;
     }
     // Главная функция разбора строки
-    evaluate(expr) {
-        const tokenRegex = /==|!=|<=|>=|&&|\|\||!|\bAND\b|\bOR\b|\bNOT\b|"[^"]*"|'[^']*'|[a-zA-Z_]\w*|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|[+\-*/%()[\]<>]/gi;
-        this.tokens = (expr.match(tokenRegex) || []).map(t => t.trim());
+    parse(expr) {
+        this.tokens = (expr.match(ExpressionParser.tokenRegex) || []).map(t => t.trim());
         this.pos = 0;
         if (this.tokens.length === 0)
-            return 0;
+            return { kind: 'literal', type: 'int', value: 0 };
         const result = this.parseOr();
         if (this.pos < this.tokens.length) {
             throw new Error(`Синтаксическая ошибка: лишний токен '${this.tokens[this.pos]}'`);
@@ -98,119 +684,68 @@ class ExpressionParser {
         }
         return this.tokens[this.pos++];
     }
-    // Разбор логического ИЛИ
-    parseOr() {
-        let left = this.parseAnd();
-        while (this.peek() === 'OR') {
+    // Разбор левоассоциативной цепочки бинарных операторов одного уровня
+    parseBinary(ops, next) {
+        let left = next();
+        while (ops.includes(this.peek() || '')) {
+            const op = this.peek();
             this.consume();
-            const right = this.parseAnd();
-            left = left || !!right;
+            const right = next();
+            left = { kind: 'binary', op, left, right };
         }
         return left;
     }
+    // Разбор логического ИЛИ
+    parseOr() {
+        return this.parseBinary(['OR'], () => this.parseAnd());
+    }
     // Разбор логического И
     parseAnd() {
-        let left = this.parseEquality();
-        while (this.peek() === 'AND') {
-            this.consume();
-            const right = this.parseEquality();
-            left = left && !!right;
-        }
-        return left;
+        return this.parseBinary(['AND'], () => this.parseEquality());
     }
     // Разбор == и !=
     parseEquality() {
-        let left = this.parseRelational();
-        while (true) {
-            const op = this.peek();
-            if (op === '==' || op === '!=') {
-                this.consume();
-                const right = this.parseRelational();
-                left = (op === '==') ? left == right : left != right;
-            }
-            else {
-                break;
-            }
-        }
-        return left;
+        return this.parseBinary(['==', '!='], () => this.parseRelational());
     }
     // Разбор сравнений (> < >= <=)
     parseRelational() {
-        let left = this.parseAdditive();
-        while (true) {
-            const op = this.peek();
-            if (['<', '>', '<=', '>='].includes(op || '')) {
-                this.consume();
-                const right = this.parseAdditive();
-                if (op === '<')
-                    left = left < right;
-                if (op === '>')
-                    left = left > right;
-                if (op === '<=')
-                    left = left <= right;
-                if (op === '>=')
-                    left = left >= right;
-            }
-            else {
-                break;
-            }
-        }
-        return left;
+        return this.parseBinary(['<', '>', '<=', '>='], () => this.parseAdditive());
     }
     // Сложение и вычитание
     parseAdditive() {
-        let left = this.parseMultiplicative();
-        while (true) {
-            const op = this.peek();
-            if (op === '+' || op === '-') {
-                this.consume();
-                const right = this.parseMultiplicative();
-                left = (op === '+') ? left + right : left - right;
-            }
-            else {
-                break;
-            }
-        }
-        return left;
+        return this.parseBinary(['+', '-'], () => this.parseMultiplicative());
     }
     // Умножение, деление и остаток
     parseMultiplicative() {
-        let left = this.parseUnary();
-        while (true) {
-            const op = this.peek();
-            if (['*', '/', '%'].includes(op || '')) {
-                this.consume();
-                const right = this.parseUnary();
-                if (op === '*')
-                    left = left * right;
-                if (op === '/') {
-                    if (right === 0)
-                        throw new Error("Деление на ноль");
-                    left = Math.trunc(left / right);
-                }
-                if (op === '%')
-                    left = left % right;
-            }
-            else {
-                break;
-            }
-        }
-        return left;
+        return this.parseBinary(['*', '/', '%'], () => this.parseUnary());
     }
     // Отрицательные числа и логическое НЕ (!)
     parseUnary() {
         const op = this.peek();
         if (op === '-' || op === 'NOT') {
             this.consume();
-            const value = this.parsePrimary();
-            if (op === '-')
-                return -Number(value);
-            if (op === 'NOT')
-                return !value;
+            return { kind: 'unary', op, operand: this.parsePrimary() };
         }
         return this.parsePrimary();
     }
-    // Самые базовые сущности: числа, строки, скобки, переменные
+    // Аргументы вызова функции: (a, b + 1, ...) — открывающая скобка уже съедена
+    parseArguments() {
+        const args = [];
+        if (this.peekRaw() === ')') {
+            this.consume();
+            return args;
+        }
+        while (true) {
+            args.push(this.parseOr());
+            const token = this.consume();
+            if (token === ')')
+                break;
+            if (token !== ',')
+                throw new Error("Пропущена закрывающая скобка ')' в вызове функции");
+        }
+        return args;
+    }
+    // Самые базовые сущности: числа, строки, скобки, переменные, вызовы
     parsePrimary() {
         const tokenRaw = this.peekRaw();
         if (!tokenRaw)
@@ -218,36 +753,39 @@ class ExpressionParser {
         const tokenUpper = tokenRaw.toUpperCase();
         this.consume();
         if (tokenUpper === 'TRUE')
-            return true;
+            return { kind: 'literal', type: 'bool', value: true };
         if (tokenUpper === 'FALSE')
-            return false;
+            return { kind: 'literal', type: 'bool', value: false };
+        // 3 — int, 3.0 и 1e3 — float
         if (/^-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?$/.test(tokenRaw)) {
-            return Number(tokenRaw);
+            return { kind: 'literal', type: /[.eE]/.test(tokenRaw) ? 'float' : 'int', value: Number(tokenRaw) };
         }
-        if ((tokenRaw.startsWith('"') && tokenRaw.endsWith('"')) ||
-            (tokenRaw.startsWith("'") && tokenRaw.endsWith("'"))) {
-            return tokenRaw.slice(1, -1);
+        if (tokenRaw.startsWith('"') && tokenRaw.endsWith('"')) {
+            return { kind: 'literal', type: 'string', value: tokenRaw.slice(1, -1) };
+        }
+        // 'a' — символ, а в одинарных кавычках подлиннее — по-прежнему строка
+        if (tokenRaw.startsWith("'") && tokenRaw.endsWith("'")) {
+            const text = tokenRaw.slice(1, -1);
+            return { kind: 'literal', type: text.length === 1 ? 'char' : 'string', value: text };
         }
         if (/^[a-zA-Z_]\w*$/.test(tokenRaw)) {
-            if (this.peekRaw() === '[') {
+            if (this.peekRaw() === '(') {
                 this.consume();
-                const index = this.parseOr();
-                if (this.consume() !== ']') {
-                    throw new Error("Пропущена закрывающая скобка ']'");
-                }
-                if (!this.env.arrays[tokenRaw]) {
-                    throw new Error(`Массив ${tokenRaw} не объявлен`);
-                }
-                const arr = this.env.arrays[tokenRaw];
-                if (index < 0 || index >= arr.length || !Number.isInteger(index)) {
-                    throw new Error(`Некорректный индекс массива: ${tokenRaw}[${index}]`);
-                }
-                return arr[index];
+                return { kind: 'call', name: tokenRaw, args: this.parseArguments() };
             }
-            if (this.env.vars[tokenRaw] === undefined) {
-                throw new Error(`Переменная ${tokenRaw} не объявлена`);
+            if (this.peekRaw() === '[') {
+                // m[i][j] — по индексу на каждое измерение
+                const indices = [];
+                while (this.peekRaw() === '[') {
+                    this.consume();
+                    indices.push(this.parseOr());
+                    if (this.consume() !== ']') {
+                        throw new Error("Пропущена закрывающая скобка ']'");
+                    }
+                }
+                return { kind: 'index', name: tokenRaw, indices };
             }
-            return this.env.vars[tokenRaw].value;
+            return { kind: 'var', name: tokenRaw };
         }
         if (tokenRaw === '(') {
             const expr = this.parseOr();
@@ -259,463 +797,3502 @@ class ExpressionParser {
         throw new Error(`Недопустимый токен: ${tokenRaw}`);
     }
 }
-// Отвечает за запуск кода и вывод в лог
-class Interpreter {
-    // Делаем паузу, чтобы выполнение было видно глазом
-    static sleep(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
-    }
-    // Печатает сообщение в наше окошко консоли
-    static print(msg, type = 'normal') {
-        if (!this.consoleEl)
-            return;
-        const line = document.createElement('div');
-        line.className = `console-line ${type === 'normal' ? '' : type + '-msg'}`;
-        line.textContent = `> ${msg}`;
-        this.consoleEl.appendChild(line);
-        this.consoleEl.scrollTop = this.consoleEl.scrollHeight; // Скроллим вниз
+// Приоритеты операторов в порядке разбора (parseOr -> ... -> унарные) — по ним же расставляются скобки при показе
+ExpressionParser.PRECEDENCE = {
+    OR: 1, AND: 2, '==': 3, '!=': 3, '<': 4, '>': 4, '<=': 4, '>=': 4, '+': 5, '-': 5, '*': 6, '/': 6, '%': 6
+};
+ExpressionParser.UNARY_PRECEDENCE = 7;
+ExpressionParser.tokenRegex = /==|!=|<=|>=|&&|\|\||!|\bAND\b|\bOR\b|\bNOT\b|"[^"]*"|'[^']*'|[a-zA-Z_]\w*|\d+(?:\.\d+)?(?:[eE][+-]?\d+)?|[+\-*/%()[\],<>]/gi;
+// Готовые деревья по тексту выражения: изменили текст поля — просто другой ключ
+ExpressionParser.cache = new Map();
+ExpressionParser.CACHE_LIMIT = 1000;
+// Вычисляет готовое дерево выражения на текущем окружении
+class ExpressionEvaluator {
+    constructor(env) {
+        this.env = env;
     }
-    // Чистим консоль перед запуском
-    static clear() {
-        if (this.consoleEl)
-            this.consoleEl.innerHTML = '';
+    // Обход дерева; асинхронный, потому что вызов функции исполняет блоки
+    async evaluate(node) {
+        switch (node.kind) {
+            case 'literal':
+                return { type: node.type, value: node.value };
+            case 'var':
+                return this.env.getTyped(node.name);
+            case 'index': {
+                // s[i] у строковой переменной — символ, иначе элемент массива
+                const indices = [];
+                for (const index of node.indices)
+                    indices.push(await this.evaluate(index));
+                if (this.env.hasVar(node.name) && this.env.getVarType(node.name) === 'string') {
+                    if (indices.length !== 1)
+                        throw new Error(`У строки ${node.name} только один индекс`);
+                    const text = this.env.getVar(node.name);
+                    const index = ExpressionEvaluator.toIndex(indices[0], node.name, text.length, 'строки');
+                    return { type: 'char', value: text[index] };
+                }
+                const arr = this.env.getArray(node.name);
+                return { type: arr.type, value: arr.values[ExpressionEvaluator.offset(arr, node.name, indices)] };
+            }
+            case 'call': {
+                // len(arr) у массива — число элементов (у двумерного — число строк)
+                const [first] = node.args;
+                if (node.name === 'len' && node.args.length === 1 && first.kind === 'var' && this.env.hasArray(first.name)) {
+                    return { type: 'int', value: this.env.getArray(first.name).dims[0] };
+                }
+                const args = [];
+                for (const arg of node.args)
+                    args.push(await this.evaluate(arg));
+                if (Builtins.has(node.name))
+                    return Builtins.call(node.name, args, this.env);
+                return this.env.callFunction(node.name, args);
+            }
+            case 'unary': {
+                const value = await this.evaluate(node.operand);
+                if (node.op === 'NOT')
+                    return { type: 'bool', value: !ValueTypes.truthy(value) };
+                return {
+                    type: value.type === 'float' ? 'float' : 'int',
+                    value: -ValueTypes.toNumber(value, '-')
+                };
+            }
+            case 'binary':
+                return this.evaluateBinary(node.op, node.left, node.right);
+        }
     }
-    // Основной цикл запуска программы
-    static async run(workspace) {
-        this.clear();
-        this.print("Запуск компиляции...", "system");
-        workspace.clearErrors();
-        const rootElements = workspace.element?.querySelectorAll(':scope > .workspace-item');
-        if (!rootElements || rootElements.length === 0) {
-            this.print("Ошибка: Рабочая область пуста.", "error");
-            return;
+    // Индекс массива или строки: целое число в пределах длины
+    static toIndex(value, name, length, what = 'массива') {
+        if (value.type === 'float' || value.type === 'string') {
+            throw new Error(`Индекс ${what} ${name} должен быть целым, а не ${value.type}`);
         }
-        const startBlocks = [];
-        rootElements.forEach(el => {
-            const block = el.blockInstance;
-            if (block && block.data.name === 'Начало')
-                startBlocks.push(block);
-        });
-        if (startBlocks.length === 0) {
-            this.print("Ошибка: Отсутствует блок 'Начало'.", "error");
-            return;
+        const index = ValueTypes.toNumber(value, '[]');
+        if (index < 0 || index >= length) {
+            throw new Error(`Индекс ${index} вне границ ${what} ${name} (длина ${length})`);
         }
-        const env = new Environment();
-        try {
-            this.print("Исполнение...", "system");
-            await startBlocks[0].execute(env);
-            this.print("Программа успешно завершена.", "system");
+        return index;
+    }
+    // Номер элемента в массиве: индексов столько же, сколько измерений, и каждый в своих границах
+    static offset(arr, name, indices) {
+        if (indices.length !== arr.dims.length) {
+            throw new Error(`Для массива ${name}${arr.dims.map(d => `[${d}]`).join('')} нужно индексов: ${arr.dims.length}, указано: ${indices.length}`);
         }
-        catch (error) {
-            this.print(`КРИТИЧЕСКАЯ ОШИБКА: ${error.message}`, "error");
+        return indices.reduce((offset, value, k) => {
+            const label = arr.dims.length > 1 ? `${name} по измерению ${k + 1}` : name;
+            return offset * arr.dims[k] + this.toIndex(value, label, arr.dims[k]);
+        }, 0);
+    }
+    // Бинарные операторы; AND и OR вычисляют правую часть только при необходимости
+    async evaluateBinary(op, leftNode, rightNode) {
+        const left = await this.evaluate(leftNode);
+        if (op === 'OR' || op === 'AND') {
+            const leftTrue = ValueTypes.truthy(left);
+            if (op === 'OR' && leftTrue)
+                return { type: 'bool', value: true };
+            if (op === 'AND' && !leftTrue)
+                return { type: 'bool', value: false };
+            return { type: 'bool', value: ValueTypes.truthy(await this.evaluate(rightNode)) };
         }
+        const right = await this.evaluate(rightNode);
+        if (['==', '!=', '<', '>', '<=', '>='].includes(op))
+            return ValueTypes.compare(op, left, right);
+        return ValueTypes.arithmetic(op, left, right);
     }
 }
-Interpreter.consoleEl = document.getElementById('console-output');
-// Вспомогательные функции для работы с DOM
-class Utils {
-    // Короткий выбор элемента
-    static $(s) { return document.querySelector(s); }
-    // Короткий выбор списка элементов
-    static $$(s) { return document.querySelectorAll(s); }
-    // Ограничение числа
-    static clamp(v, min, max) { return Math.max(min, Math.min(v, max)); }
-    // Определяем категорию блока по его расположению в меню
-    static getCategory(el) {
-        const entries = Object.entries(CONFIG.SELECTORS);
-        for (const [cat, selector] of entries) {
-            if (el.closest(selector))
-                return cat;
-        }
-        return 'operator';
+// Сборка дерева программы из описаний блоков (без DOM)
+class ProgramBuilder {
+    constructor() {
+        this.nextId = 1;
     }
-    // Вытаскиваем инфу о блоке из HTML
-    static getItemData(el) {
+    // Узел по имени блока из меню, значениям его полей и уже собранным слотам
+    node(name, inputs, slots, id = this.nextId++) {
+        const spec = BLOCK_SPECS[name];
+        if (!spec)
+            throw new Error(`Неизвестный тип блока: ${name}`);
+        const node = { id, kind: spec.kind, name, fields: { ...spec.preset }, slots: {} };
+        spec.fields.forEach((field, i) => node.fields[field] = inputs[i] ?? '');
+        spec.slots.forEach((slot, i) => node.slots[slot] = slots[i] ?? []);
+        return node;
+    }
+    // Программа из верхних узлов: первый "Начало" и все функции
+    static assemble(top) {
         return {
-            name: el.querySelector('.function-name')?.textContent?.trim() || 'Блок',
-            description: el.querySelector('.function-desc')?.textContent?.trim() || '',
-            category: this.getCategory(el),
-            shape: el.dataset.shape || 'square'
+            main: top.find(n => n.kind === 'root') || null,
+            functions: top.filter(n => n.kind === 'function'),
+            nodes: top
+        };
+    }
+    // Программа прямо из сохранённого проекта — так её можно запустить вне браузера;
+    // в режиме узлов цепочки идут по проводам (links) от блоков, в которые провод не входит
+    static fromSerialized(blocks) {
+        const builder = new ProgramBuilder();
+        const linked = new Set(blocks.flatMap(saved => Object.values(saved.links || {})));
+        const used = new Set();
+        const chain = (start) => {
+            const nodes = [];
+            for (let i = start; i !== undefined && blocks[i] && !used.has(i); i = blocks[i].links?.[NodeGraph.NEXT]) {
+                used.add(i);
+                nodes.push(build(blocks[i]));
+            }
+            return nodes;
         };
+        const build = (saved) => builder.node(saved.data.name, saved.inputs, saved.links
+            ? (BLOCK_SPECS[saved.data.name]?.slots ?? []).map((_, i) => chain(saved.links[NodeGraph.slotPort(i)]))
+            : saved.slots.map(children => children.map(build)));
+        return this.assemble(blocks.flatMap((_, i) => linked.has(i) ? [] : chain(i)));
     }
 }
-// Абстрактный класс для всех блоков (база)
-class BaseBlock {
-    constructor(data, workspace) {
-        this.next = null;
-        this.previous = null;
-        this.data = data;
-        this.workspace = workspace;
-        this.element = this.render();
-        this.attachEvents();
-    }
-    // Создаем HTML структуру блока
-    render() {
-        const item = document.createElement('div');
-        item.className = `workspace-item ${this.data.category}-item shape-${this.data.shape}`;
-        item.dataset.category = this.data.category;
-        item.blockInstance = this;
-        item.innerHTML = `
-            <div class="item-name">${this.data.name}</div>
-            <div class="item-desc">${this.data.description}</div>
-            ${this.getInnerTemplate()} 
-            <button class="remove-item" title="Удалить">×</button>
-        `;
-        Object.assign(item.style, { position: 'absolute', zIndex: "10" });
-        return item;
+// Проверка всей программы до запуска: пустые поля, имена, объявления, типы и структура
+class ProgramChecker {
+    constructor(scopeMode = CONFIG.SCOPE_MODE) {
+        this.diagnostics = [];
+        this.functions = new Map();
+        this.scopeMode = scopeMode;
     }
-    // События удаления и начала перетаскивания
-    attachEvents() {
-        this.element.querySelector('.remove-item')?.addEventListener('click', (e) => {
-            e.stopPropagation();
-            this.destroy();
+    // Все найденные проблемы сразу, а не только первая
+    check(program) {
+        this.diagnostics = [];
+        this.functions.clear();
+        const roots = program.nodes.filter(n => n.kind === 'root');
+        if (roots.length === 0)
+            this.error(null, "Отсутствует блок 'Начало'");
+        roots.slice(1).forEach(n => this.error(n, "Блок 'Начало' может быть только один"));
+        program.nodes
+            .filter(n => n.kind !== 'root' && n.kind !== 'function')
+            .forEach(n => this.warning(n, "Блок не подключён к программе и не будет выполнен"));
+        program.functions.forEach(fn => this.registerFunction(fn));
+        const global = { vars: new Map(), arrays: new Map(), parent: null };
+        if (roots[0])
+            this.checkList(roots[0].slots.body, global, false, false);
+        // Тело функции видит глобальные имена и свои параметры
+        program.functions.forEach(fn => {
+            const frame = { vars: new Map(), arrays: new Map(), parent: global };
+            this.splitNames(fn.fields.params).forEach(p => frame.vars.set(p, 'any'));
+            this.checkList(fn.slots.body, frame, true, false);
         });
-        // Если кликнули не по инпуту — значит хотим тащить
-        this.element.onmousedown = (e) => {
-            if (e.target.tagName !== 'INPUT') {
-                this.workspace.dragStart(e, this);
-            }
-        };
-        // Отключаем нативный drag-n-drop браузера
-        this.element.ondragstart = (e) => {
-            if (e.target.tagName !== 'INPUT')
-                e.preventDefault();
-        };
+        return this.diagnostics;
     }
-    // Вставляет блок в связный список после текущего
-    insertAfter(block) {
-        block.next = this.next;
-        if (this.next)
-            this.next.previous = block;
-        this.next = block;
-        block.previous = this;
+    error(node, message) {
+        this.diagnostics.push({ node, message, severity: 'error' });
     }
-    // Вырезает блок из связного списка
-    removeFromList() {
-        if (this.previous)
-            this.previous.next = this.next;
-        if (this.next)
-            this.next.previous = this.previous;
-        this.next = null;
-        this.previous = null;
+    warning(node, message) {
+        this.diagnostics.push({ node, message, severity: 'warning' });
     }
-    // Выполнение логики блока
-    async execute(env) {
-        this.element.style.boxShadow = "0 0 10px 3px yellow";
-        await Interpreter.sleep(300);
-        try {
-            await this.runAction(env);
-            this.element.style.boxShadow = "0 2px 4px rgba(0, 0, 0, 0.1)";
+    splitNames(value) {
+        return value.split(',').map(s => s.trim()).filter(s => s);
+    }
+    isIdentifier(name) {
+        return /^[a-zA-Z_]\w*$/.test(name);
+    }
+    // Имя, параметры и уникальность функции
+    registerFunction(fn) {
+        const name = fn.fields.name.trim();
+        const params = this.splitNames(fn.fields.params);
+        if (!name)
+            this.error(fn, "Не указано имя функции");
+        else if (!this.isIdentifier(name))
+            this.error(fn, `Недопустимое имя функции: ${name}`);
+        else if (Builtins.has(name)) {
+            this.error(fn, `Имя ${name} занято встроенной функцией`);
         }
-        catch (error) {
-            this.element.classList.add('error-highlight');
-            this.element.style.boxShadow = "";
-            throw error;
+        else if (this.functions.has(name))
+            this.error(fn, `Функция ${name} объявлена дважды`);
+        else
+            this.functions.set(name, params.length);
+        params.filter(p => !this.isIdentifier(p)).forEach(p => this.error(fn, `Недопустимое имя параметра: ${p}`));
+        if (new Set(params).size !== params.length)
+            this.error(fn, `Повторяющиеся параметры в функции ${name}`);
+    }
+    lookupVar(scope, name) {
+        for (let s = scope; s; s = s.parent) {
+            if (s.vars.has(name))
+                return s.vars.get(name);
         }
-        if (this.next) {
-            await this.next.execute(env);
+        return undefined;
+    }
+    hasArray(scope, name) {
+        return this.arrayInfo(scope, name) !== undefined;
+    }
+    arrayInfo(scope, name) {
+        for (let s = scope; s; s = s.parent) {
+            if (s.arrays.has(name))
+                return s.arrays.get(name);
         }
+        return undefined;
     }
-    // Запуск блоков, которые вложены в "дырку" текущего блока
-    async runInnerSlot(env, slotSelector = '.block-slot') {
-        const slot = this.element.querySelector(`:scope > ${slotSelector}`);
-        const firstChildEl = slot?.querySelector(':scope > .workspace-item');
-        if (firstChildEl) {
-            const firstChildBlock = firstChildEl.blockInstance;
-            await firstChildBlock.execute(env);
+    // Имя — массив, а не переменная (так его можно вывести целиком или передать в len)
+    isArrayName(scope, name) {
+        return !this.lookupVar(scope, name) && this.hasArray(scope, name);
+    }
+    // Объявление имени с учётом правил областей видимости; у массива — тип элементов и число измерений
+    declare(node, scope, name, type, array) {
+        if (this.scopeMode !== 'allow') {
+            if (scope.vars.has(name) || scope.arrays.has(name)) {
+                this.error(node, `Имя ${name} уже объявлено в этой области видимости`);
+            }
+            else if (this.scopeMode === 'no-shadow' && scope.parent
+                && (this.lookupVar(scope.parent, name) || this.hasArray(scope.parent, name))) {
+                this.error(node, `Имя ${name} скрывает внешнее объявление`);
+            }
         }
+        if (type === 'array')
+            scope.arrays.set(name, array || { type: 'int', dims: 1 });
+        else
+            scope.vars.set(name, type);
     }
-    // Полное удаление
-    destroy() {
-        this.removeFromList();
-        this.element.remove();
-        this.workspace.syncLinkedLists();
-        this.workspace.checkEmpty();
+    checkList(nodes, scope, inFunction, inLoop) {
+        nodes.forEach(node => this.checkNode(node, scope, inFunction, inLoop));
     }
-}
-// Блок старта программы
-class RootBlock extends BaseBlock {
-    getInnerTemplate() { return '<div class="block-slot" data-label="Тело программы"></div>'; }
-    canAccept(childCategory, childShape) { return true; }
-    isMovableToSlot() { return false; }
-    async runAction(env) {
-        Interpreter.print(`[Старт] Инициализация...`);
-        await this.runInnerSlot(env);
-    }
-    // У блока Начало особенный execute (игнорирует соседей снаружи)
-    async execute(env) {
-        this.element.style.boxShadow = "0 0 10px 3px yellow";
-        await Interpreter.sleep(300);
+    // Тело слота — вложенная область
+    checkBody(node, slot, scope, inFunction, inLoop) {
+        const inner = { vars: new Map(), arrays: new Map(), parent: scope };
+        this.checkList(node.slots[slot] || [], inner, inFunction, inLoop);
+    }
+    // Команда заголовка "Для"; объявленная в ней переменная попадает в область цикла
+    checkStatement(node, text, scope) {
+        let stmt;
         try {
-            await this.runAction(env);
-            this.element.style.boxShadow = "0 2px 4px rgba(0, 0, 0, 0.1)";
+            stmt = ProgramInterpreter.parseStatement(text);
         }
         catch (error) {
-            this.element.classList.add('error-highlight');
-            this.element.style.boxShadow = "";
-            throw error;
+            this.error(node, error.message);
+            return;
         }
+        this.checkExpr(node, stmt.value, scope);
+        if (stmt.declare)
+            this.declare(node, scope, stmt.target, stmt.declare);
+        else
+            this.checkTarget(node, stmt.target, scope, 'assign');
     }
-}
-// Блок создания обычных переменных
-class VarDeclBlock extends BaseBlock {
-    getInnerTemplate() { return '<input class="block-input" placeholder="x, y, result" title="Через запятую" />'; }
-    canAccept() { return false; }
-    isMovableToSlot() { return true; }
-    async runAction(env) {
-        const val = this.element.querySelector('input')?.value || '';
-        const names = val.split(',').map(s => s.trim()).filter(s => s);
-        if (names.length === 0)
-            throw new Error("Не указаны имена переменных");
-        for (let name of names) {
-            if (!/^[a-zA-Z_]\w*$/.test(name))
-                throw new Error(`Недопустимое имя переменной: ${name}`);
-            env.vars[name] = { value: 0, type: 'number' };
+    // Обязательное поле
+    required(node, field, message) {
+        const value = node.fields[field].trim();
+        if (!value) {
+            this.error(node, message);
+            return null;
         }
-        Interpreter.print(`Объявлены переменные: ${names.join(', ')}`);
+        return value;
     }
-}
-// Блок создания массива
-class ArrayDeclBlock extends BaseBlock {
-    getInnerTemplate() {
-        return `<div class="input-row">
-                    <input class="block-input" placeholder="arr" style="width: 50%" title="Имя массива"/>[
-                    <input class="block-input" placeholder="10" style="width: 40%" title="Размер"/> ]
-                </div>`;
+    checkNode(node, scope, inFunction, inLoop) {
+        const f = node.fields;
+        switch (node.kind) {
+            case 'root':
+            case 'function':
+                this.error(node, `Блок '${node.name}' нельзя вкладывать в другие блоки`);
+                return;
+            case 'varDecl': {
+                const names = this.splitNames(f.names);
+                if (names.length === 0) {
+                    this.error(node, f.type === 'string' ? "Не указаны имена строк" : "Не указаны имена переменных");
+                }
+                names.forEach(name => {
+                    if (!this.isIdentifier(name))
+                        this.error(node, `Недопустимое имя переменной: ${name}`);
+                    else
+                        this.declare(node, scope, name, f.type);
+                });
+                return;
+            }
+            case 'arrayDecl': {
+                const name = this.required(node, 'name', "Не указано имя массива");
+                const type = (f.type || 'int');
+                if (!ValueTypes.ALL.includes(type))
+                    this.error(node, `Неизвестный тип элементов массива: ${f.type}`);
+                const cols = (node.fields.cols || '').trim();
+                const init = (node.fields.init || '').trim();
+                // Размер одномерного массива можно не писать, если есть список значений
+                const size = init ? node.fields.size.trim() : this.required(node, 'size', "Не указан размер массива");
+                if (size)
+                    this.checkExpr(node, size, scope);
+                if (cols)
+                    this.checkExpr(node, cols, scope);
+                if (init) {
+                    try {
+                        ProgramInterpreter.parseInitializer(init).flat().forEach(item => this.checkExpr(node, item, scope));
+                    }
+                    catch (error) {
+                        this.error(node, error.message);
+                    }
+                }
+                if (name) {
+                    if (!this.isIdentifier(name))
+                        this.error(node, `Недопустимое имя массива: ${name}`);
+                    else
+                        this.declare(node, scope, name, 'array', { type, dims: cols ? 2 : 1 });
+                }
+                return;
+            }
+            case 'assign':
+            case 'assignStr': {
+                const target = this.required(node, 'target', "Пустое поле присваивания");
+                const value = this.required(node, 'value', "Пустое поле присваивания");
+                if (value) {
+                    this.checkExpr(node, value, scope);
+                    if (node.kind === 'assign' && this.simpleType(value, scope) === 'string') {
+                        this.error(node, `Справа строка, а "Присвоить" работает с числами — используйте "Присвоить строку"`);
+                    }
+                }
+                if (target)
+                    this.checkTarget(node, target, scope, node.kind);
+                return;
+            }
+            case 'if':
+            case 'ifElse':
+            case 'while': {
+                const cond = this.required(node, 'cond', `Пустое условие в блоке '${node.name}'`);
+                if (cond)
+                    this.checkExpr(node, cond, scope);
+                const loop = inLoop || node.kind === 'while';
+                Object.keys(node.slots).forEach(slot => this.checkBody(node, slot, scope, inFunction, loop));
+                return;
+            }
+            case 'for': {
+                const header = { vars: new Map(), arrays: new Map(), parent: scope };
+                if (f.init.trim())
+                    this.checkStatement(node, f.init, header);
+                const cond = this.required(node, 'cond', `Пустое условие в блоке '${node.name}'`);
+                if (cond)
+                    this.checkExpr(node, cond, header);
+                if (f.step.trim())
+                    this.checkStatement(node, f.step, header);
+                this.checkBody(node, 'body', header, inFunction, true);
+                return;
+            }
+            case 'break':
+            case 'continue':
+                if (!inLoop)
+                    this.error(node, `"${node.name}" можно использовать только внутри цикла`);
+                return;
+            case 'print': {
+                const text = this.required(node, 'items', "Поле вывода пустое");
+                if (!text)
+                    return;
+                ProgramInterpreter.splitPrintItems(text).forEach(part => {
+                    if (!part || ProgramInterpreter.isQuoted(part) || this.isArrayName(scope, part))
+                        return;
+                    // Невычислимая часть выводится как текст, поэтому это лишь предупреждение
+                    this.checkExpr(node, part, scope, 'warning');
+                });
+                return;
+            }
+            case 'input': {
+                const text = this.required(node, 'targets', "Не указано, куда вводить значение");
+                if (!text)
+                    return;
+                ProgramInterpreter.splitPrintItems(text).forEach(target => {
+                    if (!target)
+                        this.error(node, "Пустая цель ввода");
+                    else
+                        this.checkTarget(node, target, scope, 'input');
+                });
+                return;
+            }
+            case 'return':
+                if (!inFunction)
+                    this.error(node, `"Вернуть" можно использовать только внутри функции`);
+                if (f.value.trim())
+                    this.checkExpr(node, f.value.trim(), scope);
+                return;
+            case 'call': {
+                const expr = this.required(node, 'expr', "Пустой вызов функции");
+                if (!expr)
+                    return;
+                if (!/^[a-zA-Z_]\w*\s*\(.*\)$/.test(expr))
+                    this.error(node, `Ожидался вызов функции вида f(a, b): ${expr}`);
+                else
+                    this.checkExpr(node, expr, scope);
+                return;
+            }
+        }
     }
-    canAccept() { return false; }
-    isMovableToSlot() { return true; }
-    async runAction(env) {
-        const inputs = this.element.querySelectorAll('input');
-        const name = inputs[0].value.trim();
-        const sizeExpr = inputs[1].value.trim();
-        if (!/^[a-zA-Z_]\w*$/.test(name))
-            throw new Error(`Недопустимое имя массива: ${name}`);
-        const size = env.evaluate(sizeExpr);
-        if (size <= 0)
-            throw new Error(`Размер массива должен быть > 0`);
-        env.arrays[name] = new Array(size).fill(0);
-        Interpreter.print(`Объявлен массив: ${name}[${size}]`);
+    // name[i] можно брать у массива и у строки (параметр функции может оказаться любым)
+    isIndexable(scope, name) {
+        const type = this.lookupVar(scope, name);
+        if (type === 'string' || type === 'any')
+            return true;
+        return this.hasArray(scope, name);
     }
-}
-// Блок присваивания (x = 5)
-class AssignBlock extends BaseBlock {
-    getInnerTemplate() {
-        return `<div class="input-row">
-                    <input class="block-input assign-left" placeholder="x" style="width: 40%"/> =
-                    <input class="block-input assign-right" placeholder="a + 5" style="width: 55%"/>
-                </div>`;
+    // Левая часть присваивания: переменная подходящего типа, элемент массива или символ строки
+    checkTarget(node, target, scope, kind) {
+        const parsed = ProgramInterpreter.parseTarget(target);
+        if (parsed && parsed.indices.length > 0) {
+            parsed.indices.forEach(index => this.checkExpr(node, index, scope));
+            // Символ строки меняют оба блока присваивания
+            if (this.lookupVar(scope, parsed.name) === 'string')
+                return;
+            this.checkIndices(node, parsed.name, parsed.indices.length, scope, 'error');
+            const array = this.arrayInfo(scope, parsed.name);
+            if (array?.type === 'string' && kind === 'assign') {
+                this.error(node, `${parsed.name} — массив строк, используйте "Присвоить строку"`);
+            }
+            else if (array && array.type !== 'string' && kind === 'assignStr') {
+                this.error(node, `${parsed.name} — массив ${array.type}, используйте "Присвоить"`);
+            }
+            return;
+        }
+        if (!this.isIdentifier(target)) {
+            this.error(node, `Недопустимое имя переменной: ${target}`);
+            return;
+        }
+        const declared = this.lookupVar(scope, target);
+        if (!declared)
+            this.error(node, `Переменная ${target} не объявлена`);
+        else if (declared === 'string' && kind === 'assign')
+            this.error(node, `${target} — это строка, используйте "Присвоить строку"`);
+        else if (declared !== 'string' && declared !== 'any' && kind === 'assignStr') {
+            this.error(node, `${target} — это ${declared}, используйте "Присвоить"`);
+        }
     }
-    canAccept() { return false; }
-    isMovableToSlot() { return true; }
-    async runAction(env) {
-        const left = this.element.querySelector('.assign-left');
-        const right = this.element.querySelector('.assign-right');
-        const leftVal = left.value.trim();
-        const rightVal = right.value.trim();
-        if (!leftVal || !rightVal)
-            throw new Error("Пустое поле присваивания");
-        const result = env.evaluate(rightVal);
-        const arrMatch = leftVal.match(/^([a-zA-Z_]\w*)\[(.+)\]$/);
-        if (arrMatch) {
-            const arrName = arrMatch[1];
-            const index = env.evaluate(arrMatch[2]);
-            if (!env.arrays[arrName])
-                throw new Error(`Массив ${arrName} не существует`);
-            if (index < 0 || index >= env.arrays[arrName].length)
-                throw new Error(`Индекс ${index} вне границ ${arrName}`);
-            env.arrays[arrName][index] = result;
-            Interpreter.print(`${arrName}[${index}] = ${result}`);
+    // Массив объявлен и индексов у него столько же, сколько измерений
+    checkIndices(node, name, count, scope, severity) {
+        const dims = this.arrayInfo(scope, name)?.dims;
+        if (dims === undefined) {
+            this.diagnostics.push({ node, message: `Массив ${name} не объявлен`, severity });
         }
-        else {
-            if (env.vars[leftVal] === undefined)
-                throw new Error(`Переменная ${leftVal} не объявлена`);
-            if (env.vars[leftVal].type !== 'number')
-                throw new Error(`${leftVal} — это строка, используйте "Присвоить строку"`);
-            env.vars[leftVal].value = Number(result);
-            Interpreter.print(`${leftVal} = ${env.vars[leftVal].value}`);
+        else if (dims !== count) {
+            this.diagnostics.push({ node, message: `Для массива ${name} нужно индексов: ${dims}, указано: ${count}`, severity });
         }
     }
-}
-// Блок создания строк
-class StrDeclBlock extends BaseBlock {
-    getInnerTemplate() {
-        return '<input class="block-input" placeholder="str1, str2" title="Через запятую" />';
+    // Тип выражения, если его видно сразу (литерал, одна переменная или преобразование)
+    simpleType(expr, scope) {
+        try {
+            const ast = ExpressionParser.parseCached(expr);
+            if (ast.kind === 'literal')
+                return ast.type;
+            if (ast.kind === 'call')
+                return Builtins.get(ast.name)?.result;
+            if (ast.kind === 'var')
+                return this.lookupVar(scope, ast.name);
+            if (ast.kind === 'index') {
+                const type = this.lookupVar(scope, ast.name);
+                if (type === 'string')
+                    return 'char';
+                return type ?? this.arrayInfo(scope, ast.name)?.type;
+            }
+        }
+        catch {
+            // Синтаксическую ошибку уже сообщил checkExpr
+        }
+        return undefined;
     }
-    canAccept() { return false; }
-    isMovableToSlot() { return true; }
-    async runAction(env) {
-        const val = this.element.querySelector('input')?.value || '';
-        const names = val.split(',').map(s => s.trim()).filter(s => s);
-        if (names.length === 0)
-            throw new Error("Не указаны имена строк");
-        for (let name of names) {
-            if (!/^[a-zA-Z_]\w*$/.test(name))
-                throw new Error(`Недопустимое имя строки: ${name}`);
-            env.declareVar(name, 'string');
+    // Синтаксис выражения и все имена внутри него
+    checkExpr(node, expr, scope, severity = 'error') {
+        let ast;
+        try {
+            ast = ExpressionParser.parseCached(expr);
         }
-        Interpreter.print(`Объявлены строки: ${names.join(', ')}`);
+        catch (error) {
+            this.diagnostics.push({ node, message: `${error.message} в "${expr}"`, severity });
+            return;
+        }
+        const visit = (n) => {
+            switch (n.kind) {
+                case 'var':
+                    if (!this.lookupVar(scope, n.name)) {
+                        this.diagnostics.push({ node, message: `Переменная ${n.name} не объявлена`, severity });
+                    }
+                    return;
+                case 'index':
+                    if (this.lookupVar(scope, n.name) === 'string' && n.indices.length > 1) {
+                        this.diagnostics.push({ node, message: `У строки ${n.name} только один индекс`, severity });
+                    }
+                    else if (!this.isIndexable(scope, n.name)) {
+                        this.diagnostics.push({ node, message: `Массив ${n.name} не объявлен`, severity });
+                    }
+                    else if (this.hasArray(scope, n.name) && !this.lookupVar(scope, n.name)) {
+                        this.checkIndices(node, n.name, n.indices.length, scope, severity);
+                    }
+                    n.indices.forEach(visit);
+                    return;
+                case 'call': {
+                    // len(arr): имя массива здесь — не переменная
+                    const [first] = n.args;
+                    if (n.name === 'len' && n.args.length === 1 && first.kind === 'var' && this.isArrayName(scope, first.name))
+                        return;
+                    const arity = Builtins.get(n.name)?.params.length ?? this.functions.get(n.name);
+                    if (arity === undefined) {
+                        this.diagnostics.push({ node, message: `Функция ${n.name} не объявлена`, severity });
+                    }
+                    else if (arity !== n.args.length) {
+                        this.diagnostics.push({ node, message: `Функция ${n.name} ожидает ${arity} аргумент(ов), передано ${n.args.length}`, severity });
+                    }
+                    n.args.forEach(visit);
+                    return;
+                }
+                case 'unary':
+                    visit(n.operand);
+                    return;
+                case 'binary':
+                    visit(n.left);
+                    visit(n.right);
+                    return;
+            }
+        };
+        visit(ast);
     }
 }
-// Блок присваивания строк
-class AssignStrBlock extends BaseBlock {
-    getInnerTemplate() {
-        return `<div class="input-row">
-                    <input class="block-input assign-left" placeholder="str1" style="width: 40%"/> =
-                    <input class="block-input assign-right" placeholder="'string' or str2" style="width: 55%"/>
-                </div>`;
+// Исполняет дерево программы на Environment; о ходе выполнения сообщает подписчикам
+class ProgramInterpreter {
+    constructor(env, limits = CONFIG.LIMITS) {
+        this.listeners = [];
+        this.depth = 0;
+        // Сколько циклов сейчас исполняется (в текущей функции) — для "Прервать"/"Продолжить"
+        this.loopDepth = 0;
+        // Ошибки, о которых уже сообщили (чтобы родительские узлы не подсвечивались)
+        this.reported = new WeakSet();
+        // Источник для блока "Ввести"; без него ввод недоступен
+        this.input = null;
+        // Сколько блоков выполнено с начала запуска
+        this.steps = 0;
+        this.env = env;
+        this.limits = limits;
     }
-    canAccept() { return false; }
-    isMovableToSlot() { return true; }
-    async runAction(env) {
-        const left = this.element.querySelector('.assign-left');
-        const right = this.element.querySelector('.assign-right');
-        const leftVal = left.value.trim();
-        const rightVal = right.value.trim();
-        if (!leftVal || !rightVal)
-            throw new Error("Пустое поле присваивания");
-        const result = env.evaluate(rightVal);
-        const arrMatch = leftVal.match(/^([a-zA-Z_]\w*)\[(.+)\]$/);
-        if (arrMatch) {
-            throw new Error(`Массивы строк не поддерживаются в "Присвоить строку"`);
-        }
-        if (env.vars[leftVal] === undefined)
-            throw new Error(`Переменная ${leftVal} не объявлена`);
-        if (env.getVarType(leftVal) !== 'string')
-            throw new Error(`${leftVal} — это число, используйте "Присвоить"`);
-        env.setVar(leftVal, String(result), 'string');
-        Interpreter.print(`${leftVal} = "${String(result)}"`);
+    // Подписка на события выполнения
+    subscribe(listener) {
+        this.listeners.push(listener);
     }
-}
-// Блок ветвления "Если"
-class IfBlock extends BaseBlock {
-    getInnerTemplate() {
-        return `Условие: <input class="block-input" placeholder="x > 5" />
-                <div class="block-slot" data-label="Тогда"></div>`;
+    // Регистрируем функции и исполняем тело "Начало"
+    async run(program) {
+        if (!program.main)
+            throw new Error("Отсутствует блок 'Начало'");
+        program.functions.forEach(fnNode => {
+            this.env.defineFunction({
+                name: fnNode.fields.name.trim(),
+                params: this.parseNames(fnNode.fields.params, 'параметра'),
+                run: () => this.execNode(fnNode)
+            });
+        });
+        await this.execNode(program.main);
     }
-    canAccept() { return true; }
-    isMovableToSlot() { return true; }
-    async runAction(env) {
-        const cond = this.element.querySelector('input')?.value.trim();
-        if (!cond)
-            throw new Error("Пустое условие в If");
-        const isTrue = env.evaluate(cond);
-        Interpreter.print(`[Если] Условие (${cond}) -> ${isTrue}`);
-        if (isTrue) {
-            await this.runInnerSlot(env);
+    // Сообщение для консоли
+    print(text) {
+        this.listeners.forEach(l => l.onOutput?.(text));
+    }
+    // Список имён через запятую с проверкой каждого
+    parseNames(value, what) {
+        const names = value.split(',').map(s => s.trim()).filter(s => s);
+        for (const name of names) {
+            if (!/^[a-zA-Z_]\w*$/.test(name))
+                throw new Error(`Недопустимое имя ${what}: ${name}`);
         }
+        if (new Set(names).size !== names.length)
+            throw new Error(`Повторяющиеся имена: ${names.join(', ')}`);
+        return names;
     }
-}
-// Блок ветвления "Если-Иначе"
-class IfElseBlock extends BaseBlock {
-    getInnerTemplate() {
-        return `Условие: <input class="block-input" placeholder="x == y" />
-                <div class="block-slot slot-true" data-label="Тогда"></div>
-                <div class="block-slot slot-false" data-label="Иначе"></div>`;
+    // Цель присваивания или ввода: имя и тексты индексов (x, arr[i], m[i][j]); null — не цель
+    static parseTarget(text) {
+        const match = text.trim().match(/^([a-zA-Z_]\w*)\s*(.*)$/);
+        if (!match)
+            return null;
+        const indices = [];
+        const rest = match[2];
+        let depth = 0;
+        let start = 0;
+        for (let i = 0; i < rest.length; i++) {
+            const ch = rest[i];
+            if (depth === 0 && ch !== '[') {
+                if (/\s/.test(ch))
+                    continue;
+                return null;
+            }
+            if (ch === '[' && depth++ === 0)
+                start = i + 1;
+            if (ch === ']' && --depth === 0) {
+                const index = rest.slice(start, i).trim();
+                if (!index)
+                    return null;
+                indices.push(index);
+            }
+        }
+        return depth === 0 ? { name: match[1], indices } : null;
     }
-    canAccept() { return true; }
-    isMovableToSlot() { return true; }
-    async runAction(env) {
-        const cond = this.element.querySelector('input')?.value.trim();
-        if (!cond)
-            throw new Error("Пустое условие в If-Else");
-        const isTrue = env.evaluate(cond);
-        Interpreter.print(`[Если-Иначе] Условие (${cond}) -> ${isTrue}`);
-        if (isTrue) {
-            await this.runInnerSlot(env, '.slot-true');
+    // Список значений массива: {1, 2, 3} — подряд, {{1, 2}, {3, 4}} — по строкам
+    static parseInitializer(text) {
+        const src = text.trim();
+        if (!src.startsWith('{') || !src.endsWith('}')) {
+            throw new Error(`Список значений пишется в фигурных скобках: {1, 2, 3}`);
         }
-        else {
-            await this.runInnerSlot(env, '.slot-false');
+        const inner = src.slice(1, -1).trim();
+        const items = (group) => {
+            const parts = ProgramInterpreter.splitPrintItems(group);
+            if (parts.length === 1 && !parts[0])
+                return [];
+            if (parts.some(part => !part))
+                throw new Error(`Пустой элемент в списке значений: ${text.trim()}`);
+            return parts;
+        };
+        if (!inner.startsWith('{'))
+            return [items(inner)];
+        const rows = [];
+        const rest = inner.replace(/\{([^{}]*)\}/g, (_, row) => {
+            rows.push(items(row));
+            return '{}';
+        });
+        if (!/^\{\}(\s*,\s*\{\})*$/.test(rest)) {
+            throw new Error(`Строки списка значений пишутся так: {{1, 2}, {3, 4}}`);
         }
+        return rows;
     }
-}
-// Блок цикла "Пока"
-class WhileBlock extends BaseBlock {
-    getInnerTemplate() {
-        return `Условие: <input class="block-input" placeholder="i < 10" />
-                <div class="block-slot" data-label="Повторять"></div>`;
+    // Разбор команды заголовка "Для"; бросает ошибку, если это не присваивание
+    static parseStatement(text) {
+        const src = text.trim();
+        const decl = src.match(/^(int|float|char|bool)\s+([a-zA-Z_]\w*)\s*=\s*(.+)$/);
+        if (decl)
+            return { declare: decl[1], target: decl[2], value: decl[3] };
+        const incr = src.match(/^([a-zA-Z_]\w*(?:\[.+\])?)\s*(\+\+|--)$/);
+        if (incr)
+            return { declare: null, target: incr[1], value: `${incr[1]} ${incr[2][0]} 1` };
+        const assign = src.match(/^([a-zA-Z_]\w*(?:\[.+\])?)\s*([+\-*/%]?)=(?!=)\s*(.+)$/);
+        if (assign) {
+            const [, target, op, value] = assign;
+            return { declare: null, target, value: op ? `${target} ${op} (${value})` : value };
+        }
+        throw new Error(`Ожидалось присваивание (int i = 0, i = i + 1, i++): ${src}`);
     }
-    canAccept() { return true; }
-    isMovableToSlot() { return true; }
-    async runAction(env) {
-        const input = this.element.querySelector('input');
-        let iterations = 0;
-        const MAX_ITERATIONS = 1000;
-        while (true) {
-            const cond = input?.value.trim();
-            if (!cond)
-                throw new Error("Пустое условие в While");
-            const isTrue = env.evaluate(cond);
-            if (!isTrue) {
-                Interpreter.print(`[Пока] Завершен`);
-                break;
+    // Выполнение команды заголовка "Для"
+    async runStatement(text) {
+        const stmt = ProgramInterpreter.parseStatement(text);
+        if (stmt.declare)
+            this.env.declareVar(stmt.target, stmt.declare);
+        await this.assignValue(stmt.target, await this.env.evaluate(stmt.value));
+    }
+    // Присваивание переменной не строкового типа или элементу массива (с приведением к его типу)
+    async assignValue(leftVal, result) {
+        const env = this.env;
+        const target = ProgramInterpreter.parseTarget(leftVal);
+        if (!target)
+            throw new Error(`Недопустимая цель присваивания: ${leftVal}`);
+        if (target.indices.length > 0 && env.hasVar(target.name) && env.getVarType(target.name) === 'string') {
+            if (target.indices.length !== 1)
+                throw new Error(`У строки ${target.name} только один индекс`);
+            await this.assignChar(target.name, target.indices[0], result);
+        }
+        else if (target.indices.length > 0) {
+            if (env.getArray(target.name).type === 'string') {
+                throw new Error(`${target.name} — массив строк, используйте "Присвоить строку"`);
             }
-            iterations++;
-            if (iterations > MAX_ITERATIONS)
-                throw new Error(`Защита от зависания: превышен лимит (${MAX_ITERATIONS})`);
-            Interpreter.print(`[Пока] Итерация ${iterations}`);
-            await this.runInnerSlot(env);
+            await this.assignElement(target.name, target.indices, result);
+        }
+        else {
+            if (!env.hasVar(leftVal))
+                throw new Error(`Переменная ${leftVal} не объявлена`);
+            if (env.getVarType(leftVal) === 'string')
+                throw new Error(`${leftVal} — это строка, используйте "Присвоить строку"`);
+            env.setVar(leftVal, result);
+            this.print(`${leftVal} = ${ValueTypes.display(env.getTyped(leftVal))}`);
         }
     }
-}
-// Блок вывода в консоль
-class PrintBlock extends BaseBlock {
-    getInnerTemplate() {
-        return `<input class="block-input" placeholder="x, y, z," />`;
+    // Запись в элемент массива с приведением к типу его элементов
+    async assignElement(name, indexExprs, value) {
+        const arr = this.env.getArray(name);
+        const indices = [];
+        for (const index of indexExprs)
+            indices.push(await this.env.evaluate(index));
+        const offset = ExpressionEvaluator.offset(arr, name, indices);
+        const label = `${name}${indices.map(i => `[${i.value}]`).join('')}`;
+        arr.values[offset] = ValueTypes.coerce(value, arr.type, label).value;
+        this.print(`${label} = ${ValueTypes.display({ type: arr.type, value: arr.values[offset] })}`);
     }
-    canAccept() { return false; }
-    isMovableToSlot() { return true; }
-    async runAction(env) {
-        const input = this.element.querySelector('input');
-        const text = input?.value?.trim();
-        if (!text)
-            throw new Error("Поле вывода пустое");
-        const parts = text.split(/,(?=(?:(?:[^"]*"){2})*[^"]*$)/).map(s => s.trim());
-        const values = parts.map(part => {
-            if (!part)
-                return "";
-            // Если это просто строка в кавычках
-            if ((part.startsWith('"') && part.endsWith('"')) || (part.startsWith("'") && part.endsWith("'"))) {
-                return part.slice(1, -1);
-            }
-            // Иначе пробуем вычислить как переменную или математику
+    // Тип, который ждёт цель ввода: переменная, элемент массива или символ строки
+    inputType(target) {
+        const env = this.env;
+        const parsed = ProgramInterpreter.parseTarget(target);
+        if (!parsed)
+            throw new Error(`Недопустимая цель ввода: ${target}`);
+        if (parsed.indices.length > 0) {
+            if (env.hasVar(parsed.name) && env.getVarType(parsed.name) === 'string')
+                return 'char';
+            return env.getArray(parsed.name).type;
+        }
+        return env.getVarType(parsed.name);
+    }
+    // Читаем строку для одной цели, пока она не подойдёт по типу
+    async readInto(target) {
+        if (!this.input)
+            throw new Error("Ввод недоступен: не задан источник входных данных");
+        const type = this.inputType(target);
+        while (true) {
+            const line = await this.input.readLine(`${target} (${type})`);
+            if (line === null)
+                throw new Error(`Входные данные закончились: нет значения для ${target}`);
+            let value;
             try {
-                return env.evaluate(part);
+                value = ValueTypes.parseInput(line, type);
             }
-            catch {
-                return part;
+            catch (error) {
+                this.input.invalid(`${error.message} — нужно значение типа ${type} для ${target}`);
+                continue;
             }
-        });
-        Interpreter.print(values.map(v => String(v)).join(" "));
+            const parsed = ProgramInterpreter.parseTarget(target);
+            if (type === 'string' && parsed.indices.length > 0) {
+                await this.assignElement(parsed.name, parsed.indices, value);
+            }
+            else if (type === 'string') {
+                this.env.setVar(target, value);
+                this.print(`${target} = ${ValueTypes.display(value)}`);
+            }
+            else {
+                await this.assignValue(target, value);
+            }
+            return;
+        }
     }
-}
-// Главный класс управления рабочим полем
-class Workspace {
-    constructor() {
-        this.element = Utils.$('#workspace');
-        this.activeBlock = null;
-        this.offset = { x: 0, y: 0 };
-        // Вспомогательные функции для слушателей
-        this.onMove = (e) => this.dragging(e);
-        this.onUp = () => this.dragEnd();
+    // Размер одного измерения массива: целое > 0
+    async arraySize(expr) {
+        const sizeValue = await this.env.evaluate(expr.trim());
+        if (sizeValue.type !== 'int')
+            throw new Error(`Размер массива должен быть целым числом`);
+        const size = sizeValue.value;
+        if (size <= 0)
+            throw new Error(`Размер массива должен быть > 0`);
+        return size;
     }
-    // Запуск области
-    init() {
-        if (!this.element)
-            return;
-        this.setupDrop();
-        this.checkEmpty();
-        window.addEventListener('resize', () => this.updatePositions());
+    // Начальные значения как в C++: чего не хватило — нули, лишнее — ошибка.
+    // Список без вложенных скобок заполняет элементы подряд, вложенный — по строкам
+    async fillArray(name, arr, rows, nested) {
+        const rowLength = arr.dims.length > 1 ? arr.dims[1] : arr.values.length;
+        if (nested && arr.dims.length === 1)
+            throw new Error(`Вложенный список значений подходит только двумерному массиву`);
+        if (!nested && rows[0].length > arr.values.length) {
+            throw new Error(`Слишком много значений для массива ${name}: ${rows[0].length} при размере ${arr.values.length}`);
+        }
+        if (nested && rows.length > arr.dims[0]) {
+            throw new Error(`Слишком много строк в списке значений массива ${name}: ${rows.length} при ${arr.dims[0]}`);
+        }
+        for (let r = 0; r < rows.length; r++) {
+            if (nested && rows[r].length > rowLength) {
+                throw new Error(`Слишком много значений в строке ${r} массива ${name}: ${rows[r].length} при длине ${rowLength}`);
+            }
+            for (let c = 0; c < rows[r].length; c++) {
+                const value = await this.env.evaluate(rows[r][c]);
+                arr.values[(nested ? r * rowLength : 0) + c] = ValueTypes.coerce(value, arr.type, name).value;
+            }
+        }
     }
-    // Убираем красную подсветку со всех блоков
-    clearErrors() {
-        Utils.$$('.error-highlight').forEach(el => el.classList.remove('error-highlight'));
+    // Замена символа строки: s[i] = 'a'
+    async assignChar(name, indexExpr, result) {
+        const text = this.env.getVar(name);
+        const index = ExpressionEvaluator.toIndex(await this.env.evaluate(indexExpr), name, text.length, 'строки');
+        // Строка из одного знака тоже подходит: s[0] = "a"
+        const char = ValueTypes.convert(result, 'char').value;
+        this.env.setVar(name, { type: 'string', value: text.slice(0, index) + char + text.slice(index + 1) });
+        this.print(`${name}[${index}] = '${char}'`);
     }
-    // Фабрика создания блоков по именам из меню
+    // Одна итерация тела цикла; false — тело прервано через "Прервать"
+    async runLoopBody(node) {
+        this.loopDepth++;
+        try {
+            await this.execBody(node, 'body');
+        }
+        catch (error) {
+            if (error instanceof BreakSignal)
+                return false;
+            if (!(error instanceof ContinueSignal))
+                throw error;
+        }
+        finally {
+            this.loopDepth--;
+        }
+        return true;
+    }
+    // Один узел: события до/после, подсчёт глубины, сообщение об ошибке
+    async execNode(node) {
+        try {
+            if (++this.steps > this.limits.maxSteps)
+                throw new LimitError('maxSteps', this.limits.maxSteps);
+            for (const l of this.listeners)
+                await l.beforeNode?.(node, this.depth);
+            this.depth++;
+            try {
+                await this.runNode(node);
+            }
+            finally {
+                this.depth--;
+                this.listeners.forEach(l => l.afterNode?.(node, this.env));
+            }
+        }
+        catch (error) {
+            if (!(error instanceof ControlSignal) && !this.reported.has(error)) {
+                this.reported.add(error);
+                if (error instanceof LimitError)
+                    error.at(node);
+                this.listeners.forEach(l => l.onError?.(node, error));
+            }
+            throw error;
+        }
+    }
+    // Узлы слота по порядку; ownScope — тело слота получает свою область видимости
+    async execBody(node, slot, ownScope = true) {
+        const children = node.slots[slot] || [];
+        if (children.length === 0)
+            return;
+        if (ownScope)
+            this.env.pushScope(`${node.name} → ${SLOT_LABELS[slot] || slot}`);
+        try {
+            for (const child of children)
+                await this.execNode(child);
+        }
+        finally {
+            if (ownScope)
+                this.env.popScope();
+        }
+    }
+    // Логика конкретного вида узла
+    async runNode(node) {
+        const env = this.env;
+        const f = node.fields;
+        switch (node.kind) {
+            case 'root':
+                this.print(`[Старт] Инициализация...`);
+                // Тело программы — глобальная область
+                await this.execBody(node, 'body', false);
+                return;
+            case 'varDecl': {
+                const type = f.type;
+                const names = f.names.split(',').map(s => s.trim()).filter(s => s);
+                if (names.length === 0)
+                    throw new Error(type === 'string' ? "Не указаны имена строк" : "Не указаны имена переменных");
+                for (let name of names) {
+                    if (!/^[a-zA-Z_]\w*$/.test(name))
+                        throw new Error(`Недопустимое имя переменной: ${name}`);
+                    env.declareVar(name, type);
+                }
+                this.print(`Объявлены переменные (${type}): ${names.join(', ')}`);
+                return;
+            }
+            case 'arrayDecl': {
+                const name = f.name.trim();
+                if (!/^[a-zA-Z_]\w*$/.test(name))
+                    throw new Error(`Недопустимое имя массива: ${name}`);
+                const type = (f.type || 'int');
+                if (!ValueTypes.ALL.includes(type))
+                    throw new Error(`Неизвестный тип элементов массива: ${f.type}`);
+                const init = (f.init || '').trim();
+                const nested = /^\{\s*\{/.test(init);
+                const rows = init ? ProgramInterpreter.parseInitializer(init) : [];
+                const cols = (f.cols || '').trim() ? await this.arraySize(f.cols) : 0;
+                // Без размера его берём из списка значений, как int a[] = {1, 2} в C++
+                let size;
+                if (f.size.trim() || !init)
+                    size = await this.arraySize(f.size);
+                else if (nested)
+                    size = rows.length;
+                else
+                    size = cols ? Math.ceil(rows[0].length / cols) : rows[0].length;
+                if (size <= 0)
+                    throw new Error(`Размер массива должен быть > 0`);
+                const dims = cols ? [size, cols] : [size];
+                const total = dims.reduce((a, b) => a * b, 1);
+                if (total > this.limits.maxArraySize) {
+                    throw new LimitError('maxArraySize', this.limits.maxArraySize, `${name} на ${total} элементов`);
+                }
+                const arr = env.declareArray(name, type, dims);
+                if (init)
+                    await this.fillArray(name, arr, rows, nested);
+                this.print(`Объявлен массив: ${type} ${name}${dims.map(d => `[${d}]`).join('')}${init ? ` = ${init}` : ''}`);
+                return;
+            }
+            case 'assign': {
+                const leftVal = f.target.trim();
+                const rightVal = f.value.trim();
+                if (!leftVal || !rightVal)
+                    throw new Error("Пустое поле присваивания");
+                await this.assignValue(leftVal, await env.evaluate(rightVal));
+                return;
+            }
+            case 'assignStr': {
+                const leftVal = f.target.trim();
+                const rightVal = f.value.trim();
+                if (!leftVal || !rightVal)
+                    throw new Error("Пустое поле присваивания");
+                const result = await env.evaluate(rightVal);
+                const target = ProgramInterpreter.parseTarget(leftVal);
+                if (target && target.indices.length > 0) {
+                    // s[i] — символ строки, names[i] — элемент массива строк
+                    if (env.hasVar(target.name) && env.getVarType(target.name) === 'string') {
+                        if (target.indices.length !== 1)
+                            throw new Error(`У строки ${target.name} только один индекс`);
+                        await this.assignChar(target.name, target.indices[0], ValueTypes.convert(result, 'string'));
+                        return;
+                    }
+                    const type = env.getArray(target.name).type;
+                    if (type !== 'string')
+                        throw new Error(`${target.name} — массив ${type}, используйте "Присвоить"`);
+                    await this.assignElement(target.name, target.indices, ValueTypes.convert(result, 'string'));
+                    return;
+                }
+                if (!env.hasVar(leftVal))
+                    throw new Error(`Переменная ${leftVal} не объявлена`);
+                if (env.getVarType(leftVal) !== 'string')
+                    throw new Error(`${leftVal} — это ${env.getVarType(leftVal)}, используйте "Присвоить"`);
+                // "Присвоить строку" сама переводит значение в текст, как str(x)
+                env.setVar(leftVal, ValueTypes.convert(result, 'string'));
+                this.print(`${leftVal} = ${ValueTypes.display(env.getTyped(leftVal))}`);
+                return;
+            }
+            case 'if': {
+                const cond = f.cond.trim();
+                if (!cond)
+                    throw new Error("Пустое условие в If");
+                const isTrue = await env.evaluateCondition(cond);
+                this.print(`[Если] Условие (${cond}) -> ${isTrue}`);
+                if (isTrue)
+                    await this.execBody(node, 'then');
+                return;
+            }
+            case 'ifElse': {
+                const cond = f.cond.trim();
+                if (!cond)
+                    throw new Error("Пустое условие в If-Else");
+                const isTrue = await env.evaluateCondition(cond);
+                this.print(`[Если-Иначе] Условие (${cond}) -> ${isTrue}`);
+                await this.execBody(node, isTrue ? 'then' : 'else');
+                return;
+            }
+            case 'while': {
+                let iterations = 0;
+                while (true) {
+                    const cond = f.cond.trim();
+                    if (!cond)
+                        throw new Error("Пустое условие в While");
+                    const isTrue = await env.evaluateCondition(cond);
+                    if (!isTrue) {
+                        this.print(`[Пока] Завершен`);
+                        break;
+                    }
+                    iterations++;
+                    if (iterations > this.limits.maxIterations)
+                        throw new LimitError('maxIterations', this.limits.maxIterations);
+                    this.print(`[Пока] Итерация ${iterations}`);
+                    if (!await this.runLoopBody(node)) {
+                        this.print(`[Пока] Прерван`);
+                        break;
+                    }
+                }
+                return;
+            }
+            case 'for': {
+                let iterations = 0;
+                // Переменная из заголовка видна только внутри цикла
+                env.pushScope(`${node.name} → заголовок`);
+                try {
+                    if (f.init.trim())
+                        await this.runStatement(f.init);
+                    while (true) {
+                        const cond = f.cond.trim();
+                        if (!cond)
+                            throw new Error("Пустое условие в цикле \"Для\"");
+                        if (!await env.evaluateCondition(cond)) {
+                            this.print(`[Для] Завершен`);
+                            break;
+                        }
+                        iterations++;
+                        if (iterations > this.limits.maxIterations)
+                            throw new LimitError('maxIterations', this.limits.maxIterations);
+                        this.print(`[Для] Итерация ${iterations}`);
+                        if (!await this.runLoopBody(node)) {
+                            this.print(`[Для] Прерван`);
+                            break;
+                        }
+                        if (f.step.trim())
+                            await this.runStatement(f.step);
+                    }
+                }
+                finally {
+                    env.popScope();
+                }
+                return;
+            }
+            case 'break':
+            case 'continue':
+                if (this.loopDepth === 0)
+                    throw new Error(`"${node.name}" можно использовать только внутри цикла`);
+                throw node.kind === 'break' ? new BreakSignal() : new ContinueSignal();
+            case 'print':
+                this.print(await this.formatPrint(f.items));
+                return;
+            case 'input': {
+                const targets = ProgramInterpreter.splitPrintItems(f.targets).filter(t => t);
+                if (targets.length === 0)
+                    throw new Error("Не указано, куда вводить значение");
+                for (const target of targets)
+                    await this.readInto(target);
+                return;
+            }
+            case 'function': {
+                // Тело исполняется только через вызов: кадр с параметрами уже подготовлен в callFunction
+                const params = this.parseNames(f.params, 'параметра');
+                const args = params.map(p => ValueTypes.display(env.getTyped(p)));
+                this.print(`[Вызов] ${f.name.trim()}(${args.join(', ')})`);
+                // Параметры и локальные переменные тела живут в одном кадре; циклы вызывающего здесь не видны
+                const callerLoops = this.loopDepth;
+                this.loopDepth = 0;
+                try {
+                    await this.execBody(node, 'body', false);
+                }
+                finally {
+                    this.loopDepth = callerLoops;
+                }
+                return;
+            }
+            case 'return': {
+                if (env.callStack.length === 0)
+                    throw new Error(`"Вернуть" можно использовать только внутри функции`);
+                const expr = f.value.trim();
+                const value = expr ? await env.evaluate(expr) : { type: 'int', value: 0 };
+                this.print(`[Вернуть] ${env.callStack[env.callStack.length - 1]}() -> ${ValueTypes.display(value)}`);
+                throw new ReturnSignal(value);
+            }
+            case 'call': {
+                const expr = f.expr.trim();
+                if (!expr)
+                    throw new Error("Пустой вызов функции");
+                if (!/^[a-zA-Z_]\w*\s*\(.*\)$/.test(expr))
+                    throw new Error(`Ожидался вызов функции вида f(a, b): ${expr}`);
+                await env.evaluate(expr);
+                return;
+            }
+        }
+    }
+    // Части поля "Вывести" по запятым верхнего уровня: запятые в кавычках и в скобках вызова не делят
+    static splitPrintItems(text) {
+        const parts = [];
+        let depth = 0;
+        let quote = '';
+        let start = 0;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quote) {
+                if (ch === quote)
+                    quote = '';
+            }
+            else if (ch === '"' || ch === "'") {
+                quote = ch;
+            }
+            else if (ch === '(' || ch === '[') {
+                depth++;
+            }
+            else if (ch === ')' || ch === ']') {
+                depth--;
+            }
+            else if (ch === ',' && depth === 0) {
+                parts.push(text.slice(start, i).trim());
+                start = i + 1;
+            }
+        }
+        parts.push(text.slice(start).trim());
+        return parts;
+    }
+    // Часть целиком — одна строка в кавычках
+    static isQuoted(part) {
+        return /^("[^"]*"|'[^']*')$/.test(part);
+    }
+    // Массив целиком в виде списка значений: {1, 2, 3}, у двумерного — {{1, 2}, {3, 4}}
+    static formatArray(arr) {
+        const items = arr.values.map(value => ValueTypes.display({ type: arr.type, value }));
+        if (arr.dims.length === 1)
+            return `{${items.join(', ')}}`;
+        const rows = [];
+        for (let start = 0; start < items.length; start += arr.dims[1]) {
+            rows.push(`{${items.slice(start, start + arr.dims[1]).join(', ')}}`);
+        }
+        return `{${rows.join(', ')}}`;
+    }
+    // Текст для "Вывести": части через запятую, строки в кавычках выводятся как есть
+    async formatPrint(text) {
+        text = text.trim();
+        if (!text)
+            throw new Error("Поле вывода пустое");
+        const parts = ProgramInterpreter.splitPrintItems(text);
+        const values = [];
+        for (const part of parts) {
+            if (!part) {
+                values.push("");
+                continue;
+            }
+            // Если это просто строка в кавычках
+            if (ProgramInterpreter.isQuoted(part)) {
+                values.push(part.slice(1, -1));
+                continue;
+            }
+            // Имя массива — выводим его целиком
+            if (this.env.hasArray(part)) {
+                values.push(ProgramInterpreter.formatArray(this.env.getArray(part)));
+                continue;
+            }
+            // Как текст выводится только то, что не разбирается как выражение, и необъявленное голое имя;
+            // ошибки вычисления (выход за границы, неверный аргумент, лимиты) останавливают программу
+            let ast;
+            try {
+                ast = ExpressionParser.parseCached(part);
+            }
+            catch {
+                values.push(part);
+                continue;
+            }
+            if (ast.kind === 'var' && !this.env.hasVar(ast.name)) {
+                values.push(part);
+                continue;
+            }
+            values.push(ValueTypes.format(await this.env.evaluate(part)));
+        }
+        return values.join(" ");
+    }
+}
+// Перевод дерева программы в текст — только для показа и выгрузки, сгенерированный код не исполняется
+class CodeGenerator {
+    constructor() {
+        this.lines = [];
+        this.level = 0;
+    }
+    // Текст всей программы
+    generate(program) {
+        this.lines = [];
+        this.level = 0;
+        this.program(program);
+        return this.lines.join('\n') + '\n';
+    }
+    line(text) {
+        this.lines.push(CodeGenerator.INDENT.repeat(this.level) + text);
+    }
+    blank() {
+        this.lines.push('');
+    }
+    // Номер следующей строки — чтобы потом вставить перед ней то, что понадобилось по ходу генерации
+    mark() {
+        return this.lines.length;
+    }
+    insertLines(at, lines) {
+        this.lines.splice(at, 0, ...lines);
+    }
+    // Строки, выведенные в emit, — с отступом на уровень глубже
+    indented(emit) {
+        this.level++;
+        try {
+            emit();
+        }
+        finally {
+            this.level--;
+        }
+    }
+    // Узлы слота с отступом на уровень глубже
+    body(nodes) {
+        this.indented(() => (nodes || []).forEach(node => this.statement(node)));
+    }
+    names(text) {
+        return text.split(',').map(s => s.trim()).filter(s => s);
+    }
+    // Выражение из поля блока; если оно не разбирается — как написано
+    expr(text) {
+        try {
+            return this.exprNode(ExpressionParser.parseCached(text.trim()));
+        }
+        catch {
+            return text.trim();
+        }
+    }
+    // Части поля "Вывести": строки в кавычках как есть, остальное — выражения
+    printItems(text) {
+        return ProgramInterpreter.splitPrintItems(text).filter(part => part).map(part => {
+            if (!ProgramInterpreter.isQuoted(part))
+                return this.expr(part);
+            return this.literal('string', part.slice(1, -1));
+        });
+    }
+    exprNode(node, parentPrecedence = 0) {
+        switch (node.kind) {
+            case 'literal':
+                return this.literal(node.type, node.value);
+            case 'var':
+                return node.name;
+            case 'index':
+                return node.name + node.indices.map(index => `[${this.exprNode(index)}]`).join('');
+            case 'call':
+                return this.call(node.name, node.args.map(arg => this.exprNode(arg)), node.args);
+            case 'unary': {
+                const operand = this.exprNode(node.operand, ExpressionParser.UNARY_PRECEDENCE);
+                return node.op === 'NOT' ? `${this.operator('NOT')}${operand}` : `-${operand}`;
+            }
+            case 'binary': {
+                const precedence = ExpressionParser.PRECEDENCE[node.op] ?? 0;
+                // Правый операнд того же уровня берём в скобки: a - (b - c)
+                const text = `${this.exprNode(node.left, precedence)} ${this.operator(node.op)} ${this.exprNode(node.right, precedence + 1)}`;
+                return precedence < parentPrecedence ? `(${text})` : text;
+            }
+        }
+    }
+}
+CodeGenerator.INDENT = '    ';
+// C++: функции перед main, тело "Начало" — в main
+class CppGenerator extends CodeGenerator {
+    constructor() {
+        super(...arguments);
+        // Массивы и переменные, объявленные в текущей функции, с их типами: len() у массива считается
+        // через sizeof, а не .length(), массив целиком выводится циклом, строку в число переводят stoi/stof
+        this.arrays = new Map();
+        this.types = new Map();
+        this.helpers = new Set();
+        // Выводится логическое значение: без boolalpha cout напечатал бы 1 и 0, а не true и false
+        this.printsBool = false;
+    }
+    program(program) {
+        this.helpers.clear();
+        this.printsBool = false;
+        ['#include <iostream>', '#include <string>', '#include <cmath>'].forEach(l => this.line(l));
+        const includesAt = this.mark();
+        this.line('using namespace std;');
+        this.blank();
+        const helpersAt = this.mark();
+        program.functions.forEach(fn => {
+            // Параметры в блоках без типов — C++20 позволяет написать auto
+            const params = this.names(fn.fields.params).map(p => `auto ${p}`).join(', ');
+            this.line(`auto ${fn.fields.name.trim()}(${params}) {`);
+            this.startFunction();
+            this.body(fn.slots.body);
+            this.line('}');
+            this.blank();
+        });
+        this.line('int main() {');
+        const mainAt = this.mark();
+        this.startFunction();
+        this.body([...program.main?.slots.body || [], { id: 0, kind: 'return', name: 'Вернуть', fields: { value: '0' }, slots: {} }]);
+        this.line('}');
+        if (this.printsBool)
+            this.insertLines(mainAt, [`${CodeGenerator.INDENT}cout << boolalpha;`]);
+        if (this.helpers.size === 0)
+            return;
+        this.insertLines(helpersAt, [...this.helpers].flatMap(name => [
+            `string ${name}(string s) {`,
+            `${CodeGenerator.INDENT}for (char &c : s) c = ${CppGenerator.CASE_HELPERS[name]}((unsigned char)c);`,
+            `${CodeGenerator.INDENT}return s;`,
+            '}',
+            ''
+        ]));
+        this.insertLines(includesAt, ['#include <cctype>']);
+    }
+    startFunction() {
+        this.arrays.clear();
+        this.types.clear();
+    }
+    statement(node) {
+        const f = node.fields;
+        switch (node.kind) {
+            case 'varDecl':
+                this.names(f.names).forEach(name => this.types.set(name, f.type));
+                this.line(`${f.type} ${this.names(f.names).join(', ')};`);
+                return;
+            case 'arrayDecl': {
+                const dims = [f.size, f.cols || ''].map(d => d.trim()).filter((d, i) => i === 0 || d);
+                const init = (f.init || '').trim();
+                this.arrays.set(f.name.trim(), { type: (f.type || 'int'), dims: dims.length });
+                this.line(`${f.type || 'int'} ${f.name.trim()}${dims.map(d => `[${d ? this.expr(d) : ''}]`).join('')}${init ? ` = ${init}` : ''};`);
+                return;
+            }
+            case 'assign':
+            case 'assignStr':
+                this.line(`${f.target.trim()} = ${this.expr(f.value)};`);
+                return;
+            case 'if':
+            case 'ifElse':
+                this.line(`if (${this.expr(f.cond)}) {`);
+                this.body(node.slots.then);
+                if (node.kind === 'ifElse') {
+                    this.line('} else {');
+                    this.body(node.slots.else);
+                }
+                this.line('}');
+                return;
+            case 'while':
+                this.line(`while (${this.expr(f.cond)}) {`);
+                this.body(node.slots.body);
+                this.line('}');
+                return;
+            case 'for':
+                this.line(`for (${f.init.trim()}; ${this.expr(f.cond)}; ${f.step.trim()}) {`);
+                this.body(node.slots.body);
+                this.line('}');
+                return;
+            case 'break':
+            case 'continue':
+                this.line(`${node.kind};`);
+                return;
+            case 'print': {
+                // "Вывести" разделяет части пробелом и заканчивает строку; массив целиком — циклом, как {1, 2, 3}
+                const chain = [];
+                ProgramInterpreter.splitPrintItems(f.items).filter(part => part).forEach((part, i) => {
+                    if (i > 0)
+                        chain.push('" "');
+                    const array = this.arrays.get(part.trim());
+                    if (array?.type === 'bool' || (!array && this.isBool(part)))
+                        this.printsBool = true;
+                    if (!array) {
+                        chain.push(...this.printItems(part));
+                        return;
+                    }
+                    this.line(`cout << ${[...chain.splice(0), '"{"'].join(' << ')};`);
+                    this.printElements(part.trim(), array.dims);
+                    chain.push('"}"');
+                });
+                this.line(`cout << ${[...chain, 'endl'].join(' << ')};`);
+                return;
+            }
+            case 'input':
+                this.line(`cin >> ${ProgramInterpreter.splitPrintItems(f.targets).filter(t => t).join(' >> ')};`);
+                return;
+            case 'return':
+                this.line(f.value.trim() ? `return ${this.expr(f.value)};` : 'return;');
+                return;
+            case 'call':
+                this.line(`${this.expr(f.expr)};`);
+                return;
+            default:
+                this.line(`// Блок '${node.name}' здесь не поддерживается`);
+        }
+    }
+    operator(op) {
+        return CppGenerator.OPERATORS[op] ?? op;
+    }
+    literal(type, value) {
+        switch (type) {
+            case 'string': return `"${value}"`;
+            case 'char': return value === '\0' ? `'\\0'` : `'${value}'`;
+            case 'float': return Number.isInteger(value) ? value.toFixed(1) : String(value);
+            default: return String(value);
+        }
+    }
+    // Встроенные функции — в виде, привычном для C++
+    call(name, args, nodes) {
+        const type = nodes.length > 0 ? this.simpleType(nodes[0]) : undefined;
+        switch (name) {
+            // У массива — число элементов (у двумерного — строк), как len() в интерпретаторе
+            case 'len': return this.arrays.has(args[0]) ? `sizeof(${args[0]}) / sizeof(${args[0]}[0])` : `${this.operand(args[0], nodes[0])}.length()`;
+            case 'substr': return `${this.operand(args[0], nodes[0])}.substr(${args[1]}, ${args[2]})`;
+            case 'find': return `${this.operand(args[0], nodes[0])}.find(${args[1]})`;
+            case 'upper':
+            case 'lower':
+                this.helpers.add(name);
+                return `${name}(${args[0]})`;
+            case 'int':
+            case 'float':
+            case 'bool':
+            case 'char':
+                return type === 'string' ? CppGenerator.FROM_TEXT[name](args[0], this.operand(args[0], nodes[0])) : `${name}(${args[0]})`;
+            case 'str':
+            case 'string':
+                if (type === 'string')
+                    return args[0];
+                return type === 'char' ? `string(1, ${args[0]})` : `to_string(${args[0]})`;
+            case 'ord': return `int(${args[0]})`;
+            case 'chr': return `char(${args[0]})`;
+            case 'random': return `(${args[0]} + rand() % (${args[1]} - ${args[0]} + 1))`;
+            default: return `${name}(${args.join(', ')})`;
+        }
+    }
+    // Элементы массива через запятую, у двумерного — по строкам в фигурных скобках
+    printElements(name, dims) {
+        const count = (of) => `sizeof(${of}) / sizeof(${of}[0])`;
+        if (dims === 1) {
+            this.line(`for (size_t i = 0; i < ${count(name)}; i++) cout << (i > 0 ? ", " : "") << ${name}[i];`);
+            return;
+        }
+        this.line(`for (size_t i = 0; i < ${count(name)}; i++) {`);
+        this.indented(() => {
+            this.line('cout << (i > 0 ? ", {" : "{");');
+            this.line(`for (size_t j = 0; j < ${count(`${name}[0]`)}; j++) cout << (j > 0 ? ", " : "") << ${name}[i][j];`);
+            this.line('cout << "}";');
+        });
+        this.line('}');
+    }
+    // Тип выражения, если его видно сразу (как в ProgramChecker.simpleType); параметры функций — неизвестны
+    simpleType(node) {
+        switch (node.kind) {
+            case 'literal': return node.type;
+            case 'var': return this.types.get(node.name);
+            case 'index': return this.types.get(node.name) === 'string' ? 'char' : this.arrays.get(node.name)?.type;
+            case 'call': return Builtins.get(node.name)?.result;
+            case 'binary':
+                if (['==', '!=', '<', '>', '<=', '>=', 'AND', 'OR'].includes(node.op))
+                    return 'bool';
+                return node.op === '+' && [node.left, node.right].some(side => this.simpleType(side) === 'string') ? 'string' : undefined;
+            case 'unary': return node.op === 'NOT' ? 'bool' : undefined;
+            default: return undefined;
+        }
+    }
+    // Часть вывода — логическое значение (строка в кавычках и невычислимый текст — нет)
+    isBool(part) {
+        if (ProgramInterpreter.isQuoted(part))
+            return false;
+        try {
+            return this.simpleType(ExpressionParser.parseCached(part)) === 'bool';
+        }
+        catch {
+            return false;
+        }
+    }
+    // Аргумент перед .length(), .substr() и т. п.: строковый литерал — как std::string, сложное выражение — в скобках
+    operand(text, node) {
+        if (node.kind === 'literal')
+            return node.type === 'string' ? `string(${text})` : text;
+        return node.kind === 'binary' || node.kind === 'unary' ? `(${text})` : text;
+    }
+}
+CppGenerator.OPERATORS = { AND: '&&', OR: '||', NOT: '!' };
+// Преобразования строки: приведение типа в C++ к std::string не применяется;
+// operand — та же строка, готовая стоять перед == или .at()
+CppGenerator.FROM_TEXT = {
+    int: text => `stoi(${text})`,
+    float: text => `stof(${text})`,
+    bool: (_, operand) => `(${operand} == "true")`,
+    char: (_, operand) => `${operand}.at(0)`
+};
+// upper() и lower() в C++ нет — программа, где они есть, получает свои функции с toupper/tolower
+CppGenerator.CASE_HELPERS = { upper: 'toupper', lower: 'tolower' };
+// Псевдокод на русском в духе школьного алгоритмического языка
+class PseudocodeGenerator extends CodeGenerator {
+    program(program) {
+        program.functions.forEach(fn => {
+            this.line(`алг ${fn.fields.name.trim()}(${this.names(fn.fields.params).join(', ')})`);
+            this.line('нач');
+            this.body(fn.slots.body);
+            this.line('кон');
+            this.blank();
+        });
+        this.line('алг Начало');
+        this.line('нач');
+        this.body(program.main?.slots.body);
+        this.line('кон');
+    }
+    statement(node) {
+        const f = node.fields;
+        switch (node.kind) {
+            case 'varDecl':
+                this.line(`${PseudocodeGenerator.TYPES[f.type] || f.type} ${this.names(f.names).join(', ')}`);
+                return;
+            case 'arrayDecl': {
+                // Границы таблицы включительные: последний индекс на единицу меньше размера
+                const init = (f.init || '').trim();
+                const cols = (f.cols || '').trim();
+                const bounds = [this.bound(f.size.trim() || this.initRows(init, cols))];
+                if (cols)
+                    bounds.push(this.bound(cols));
+                this.line(`${PseudocodeGenerator.TYPES[f.type || 'int']}таб ${f.name.trim()}[${bounds.join(', ')}]`);
+                if (init)
+                    this.line(`${f.name.trim()} := ${init}`);
+                return;
+            }
+            case 'assign':
+            case 'assignStr':
+                this.line(`${f.target.trim()} := ${this.expr(f.value)}`);
+                return;
+            case 'if':
+            case 'ifElse':
+                this.line(`если ${this.expr(f.cond)} то`);
+                this.body(node.slots.then);
+                if (node.kind === 'ifElse') {
+                    this.line('иначе');
+                    this.body(node.slots.else);
+                }
+                this.line('все');
+                return;
+            case 'while':
+                this.line(`нц пока ${this.expr(f.cond)}`);
+                this.body(node.slots.body);
+                this.line('кц');
+                return;
+            case 'for':
+                // "Для" с произвольным заголовком раскладывается в начальное присваивание и цикл "пока"
+                if (f.init.trim())
+                    this.line(this.simple(f.init));
+                this.line(`нц пока ${this.expr(f.cond)}`);
+                this.body(node.slots.body);
+                if (f.step.trim())
+                    this.indented(() => this.line(this.simple(f.step)));
+                this.line('кц');
+                return;
+            case 'break':
+                this.line('выход');
+                return;
+            case 'continue':
+                this.line('к следующему шагу');
+                return;
+            case 'print':
+                this.line(`вывод ${this.printItems(f.items).join(', ')}`);
+                return;
+            case 'input':
+                this.line(`ввод ${ProgramInterpreter.splitPrintItems(f.targets).filter(t => t).join(', ')}`);
+                return;
+            case 'return':
+                this.line(f.value.trim() ? `вернуть ${this.expr(f.value)}` : 'вернуть');
+                return;
+            case 'call':
+                this.line(this.expr(f.expr));
+                return;
+            default:
+                this.line(`| блок '${node.name}' здесь не поддерживается`);
+        }
+    }
+    bound(size) {
+        return `0:${/^\d+$/.test(size) ? String(Number(size) - 1) : `${this.expr(size)} - 1`}`;
+    }
+    // Размер, который C++ вывел бы из списка значений: int a[] = {1, 2, 3}
+    initRows(init, cols) {
+        try {
+            const rows = ProgramInterpreter.parseInitializer(init);
+            if (/^\{\s*\{/.test(init))
+                return String(rows.length);
+            return String(/^\d+$/.test(cols) ? Math.ceil(rows[0].length / Number(cols)) : rows[0].length);
+        }
+        catch {
+            return '?';
+        }
+    }
+    // Команда заголовка "Для" как присваивание; непонятная — как написана
+    simple(text) {
+        try {
+            const stmt = ProgramInterpreter.parseStatement(text);
+            const declare = stmt.declare ? `${PseudocodeGenerator.TYPES[stmt.declare]} ` : '';
+            return `${declare}${stmt.target} := ${this.expr(stmt.value)}`;
+        }
+        catch {
+            return text.trim();
+        }
+    }
+    operator(op) {
+        return PseudocodeGenerator.OPERATORS[op] ?? op;
+    }
+    literal(type, value) {
+        switch (type) {
+            case 'string': return `"${value}"`;
+            case 'char': return `'${value}'`;
+            case 'bool': return value ? 'да' : 'нет';
+            case 'float': return Number.isInteger(value) ? value.toFixed(1) : String(value);
+            default: return String(value);
+        }
+    }
+    call(name, args) {
+        return `${name}(${args.join(', ')})`;
+    }
+}
+PseudocodeGenerator.OPERATORS = {
+    AND: 'и', OR: 'или', NOT: 'не ', '==': '=', '!=': '≠', '<=': '≤', '>=': '≥', '%': 'mod'
+};
+PseudocodeGenerator.TYPES = {
+    int: 'цел', float: 'вещ', char: 'сим', bool: 'лог', string: 'лит'
+};
+// Импорт текста на подмножестве C++ в блоки: объявления, присваивания, if/else, циклы, cout и cin.
+// Результат — сохранённые блоки, как в файле проекта; данные блока из меню подставляет dataFor
+class CppImporter {
+    constructor(dataFor) {
+        this.tokens = [];
+        this.pos = 0;
+        this.types = new Map();
+        // Массивы и типы их элементов
+        this.arrays = new Map();
+        this.dataFor = dataFor;
+    }
+    // Программа целиком -> блок "Начало" с телом; тело main или просто список команд
+    parse(source) {
+        this.tokens = CppImporter.tokenize(source);
+        this.pos = 0;
+        this.types.clear();
+        this.arrays.clear();
+        const body = [];
+        while (this.peek()) {
+            if (this.accept('using')) {
+                this.expect('namespace');
+                this.expect('std');
+                this.expect(';');
+            }
+            else if (this.peek().text === 'int' && this.peek(1)?.text === 'main') {
+                this.pos += 2;
+                this.expect('(');
+                this.expect(')');
+                body.push(...this.compound());
+            }
+            else {
+                body.push(...this.statement());
+            }
+        }
+        return [this.block('Начало', [], [body], CONFIG.DEFAULT_POS)];
+    }
+    // Разбиваем текст на токены, пропуская пробелы, комментарии и строки #include
+    static tokenize(source) {
+        const tokens = [];
+        const re = new RegExp(this.TOKEN.source, 'y');
+        let line = 1;
+        let lineStart = 0;
+        while (re.lastIndex < source.length) {
+            const start = re.lastIndex;
+            const m = re.exec(source);
+            if (!m) {
+                throw new Error(`Строка ${line}, столбец ${start - lineStart + 1}: неизвестный символ '${source[start]}'`);
+            }
+            const kind = m[1] ? 'name' : m[2] ? 'number' : m[3] ? 'string' : m[4] ? 'char' : m[5] ? 'op' : null;
+            const text = kind === 'number' ? this.number(m[0]) : m[0];
+            if (kind)
+                tokens.push({ text, kind, line, col: start - lineStart + 1, start, end: re.lastIndex });
+            // Переводы строк внутри пробелов и комментариев сдвигают счётчик строк
+            for (let i = start; i < re.lastIndex; i++) {
+                if (source[i] === '\n') {
+                    line++;
+                    lineStart = i + 1;
+                }
+            }
+        }
+        return tokens;
+    }
+    // .5 и 1. выражения блоков не разбирают (точка отпала бы и .5 стало бы 5) — пишем 0.5 и 1.0
+    static number(text) {
+        return text.replace(/^\./, '0.').replace(/\.(?!\d)/, '.0');
+    }
+    peek(offset = 0) {
+        return this.tokens[this.pos + offset];
+    }
+    next() {
+        const token = this.tokens[this.pos];
+        if (!token) {
+            const last = this.tokens[this.tokens.length - 1];
+            throw new Error(last ? `Строка ${last.line}, столбец ${last.col}: неожиданный конец программы` : 'Программа пуста');
+        }
+        this.pos++;
+        return token;
+    }
+    accept(text) {
+        if (this.peek()?.text !== text)
+            return false;
+        this.pos++;
+        return true;
+    }
+    expect(text) {
+        const token = this.next();
+        if (token.text !== text)
+            this.fail(token, `Ожидалось '${text}', а найдено '${token.text}'`);
+        return token;
+    }
+    name() {
+        const token = this.next();
+        if (token.kind !== 'name')
+            this.fail(token, `Ожидалось имя, а найдено '${token.text}'`);
+        return token;
+    }
+    fail(token, message) {
+        throw new Error(`Строка ${token.line}, столбец ${token.col}: ${message}`);
+    }
+    block(name, inputs, slots = [], position) {
+        const saved = { data: this.dataFor(name), inputs, slots };
+        if (position)
+            saved.position = position;
+        return saved;
+    }
+    // { команды } или одна команда — тело if/else и циклов
+    body() {
+        return this.peek()?.text === '{' ? this.compound() : this.statement();
+    }
+    compound() {
+        this.expect('{');
+        const blocks = [];
+        while (this.peek() && this.peek().text !== '}')
+            blocks.push(...this.statement());
+        this.expect('}');
+        return blocks;
+    }
+    // Одна команда; объявление с инициализацией даёт несколько блоков
+    statement() {
+        const token = this.peek();
+        if (CppImporter.DECLARATIONS[token.text])
+            return this.declaration();
+        switch (token.text) {
+            case 'if': {
+                this.next();
+                const cond = this.condition();
+                const then = this.body();
+                if (!this.accept('else'))
+                    return [this.block('Если', [cond], [then])];
+                return [this.block('Если-Иначе', [cond], [then, this.body()])];
+            }
+            case 'while': {
+                this.next();
+                const cond = this.condition();
+                return [this.block('Пока', [cond], [this.body()])];
+            }
+            case 'for': {
+                this.next();
+                this.expect('(');
+                const init = this.rawUntil(';');
+                this.expect(';');
+                try {
+                    const stmt = ProgramInterpreter.parseStatement(init);
+                    if (stmt.declare)
+                        this.types.set(stmt.target, stmt.declare);
+                }
+                catch {
+                    // Неверный заголовок покажет проверка программы
+                }
+                const cond = this.expression([';']);
+                this.expect(';');
+                const step = this.rawUntil(')');
+                this.expect(')');
+                return [this.block('Для', [init, cond, step], [this.body()])];
+            }
+            case 'break':
+            case 'continue':
+                this.next();
+                this.expect(';');
+                return [this.block(token.text === 'break' ? 'Прервать' : 'Продолжить', [])];
+            case 'return':
+                // return 0; в конце main ничего не делает
+                this.next();
+                if (this.accept('0') && this.accept(';'))
+                    return [];
+                this.fail(token, "'return' поддерживается только как return 0; в main");
+            case 'cout':
+                return this.output();
+            case 'cin':
+                return [this.input()];
+            case ';':
+                this.next();
+                return [];
+            case '{':
+                this.fail(token, 'Отдельный блок { } не поддерживается — используйте его внутри if или цикла');
+        }
+        if (token.kind === 'name' && !['else', 'do', 'switch', 'case'].includes(token.text))
+            return [this.assignment()];
+        this.fail(token, `Конструкция '${token.text}' не поддерживается`);
+    }
+    // (условие) у if и while
+    condition() {
+        this.expect('(');
+        const cond = this.expression([')']);
+        this.expect(')');
+        return cond;
+    }
+    // int a, b = 2; -> блок объявления и присваивания; int arr[10]; -> массив.
+    // Порядок как в тексте: в int n = 3, a[n]; массив объявляется уже после n = 3
+    declaration() {
+        const typeToken = this.next();
+        const decl = CppImporter.DECLARATIONS[typeToken.text];
+        const names = [];
+        const blocks = [];
+        const inits = [];
+        // Накопленные переменные — одним блоком объявления, следом их присваивания
+        const flush = () => {
+            if (names.length > 0)
+                blocks.push(this.block(decl.block, [names.join(', ')]));
+            blocks.push(...inits);
+            names.length = 0;
+            inits.length = 0;
+        };
+        do {
+            const name = this.name();
+            if (this.peek()?.text === '(')
+                this.fail(name, `Объявление функции ${name.text}() не поддерживается`);
+            if (this.accept('[')) {
+                // int a[] = {...} — размер берётся из списка значений
+                const size = this.peek()?.text === ']' ? '' : this.expression([']']);
+                this.expect(']');
+                let cols = '';
+                if (this.accept('[')) {
+                    cols = this.expression([']']);
+                    this.expect(']');
+                    if (this.peek()?.text === '[')
+                        this.fail(this.peek(), 'Поддерживаются массивы не больше двух измерений');
+                }
+                const init = this.accept('=') ? this.initializer() : '';
+                if (!size && !init)
+                    this.fail(name, `Не указан размер массива ${name.text}`);
+                this.arrays.set(name.text, decl.type);
+                flush();
+                blocks.push(this.block('Массив', [decl.type, name.text, size, cols, init]));
+                continue;
+            }
+            names.push(name.text);
+            this.types.set(name.text, decl.type);
+            if (this.accept('='))
+                inits.push(this.assignBlock(name, name.text, this.expression([',', ';'])));
+        } while (this.accept(','));
+        this.expect(';');
+        flush();
+        return blocks;
+    }
+    // a = b; a += b; a++; arr[i] = x;
+    assignment() {
+        const first = this.peek();
+        const target = this.target();
+        const op = this.next();
+        let value;
+        if (op.text === '++' || op.text === '--') {
+            value = `${target} ${op.text[0]} 1`;
+        }
+        else if (op.text === '=') {
+            value = this.expression([';']);
+        }
+        else if (/^[+\-*/%]=$/.test(op.text)) {
+            // Скобки нужны, только если справа стоит бинарная операция: a += b + 1, но a += a[i]
+            const operand = this.expression([';']);
+            const grouped = ExpressionParser.parseCached(operand).kind === 'binary';
+            value = `${target} ${op.text[0]} ${grouped ? `(${operand})` : operand}`;
+        }
+        else if (op.text === '(') {
+            this.fail(first, `Вызов функции ${target}() не поддерживается`);
+        }
+        else {
+            this.fail(op, `Ожидалось присваивание, а найдено '${op.text}'`);
+        }
+        this.expect(';');
+        return this.assignBlock(first, target, value);
+    }
+    // Строковой переменной и элементу массива строк присваивает "Присвоить строку", остальным — "Присвоить"
+    assignBlock(token, target, value) {
+        const indexed = ProgramInterpreter.parseTarget(target);
+        const type = indexed && indexed.indices.length > 0
+            ? this.arrays.get(indexed.name) ?? (this.types.get(indexed.name) === 'string' ? 'char' : undefined)
+            : this.types.get(target);
+        if (type === undefined)
+            this.fail(token, `Переменная или массив ${indexed?.name ?? target} не объявлены`);
+        return this.block(type === 'string' ? 'Присвоить строку' : 'Присвоить', [target, value]);
+    }
+    // Имя или элемент массива слева от присваивания и в cin
+    target() {
+        let target = this.name().text;
+        while (this.accept('[')) {
+            target += `[${this.expression([']'])}]`;
+            this.expect(']');
+        }
+        return target;
+    }
+    // cout << a << " " << b << endl; -> Вывести a, b (пробелы между частями блок ставит сам);
+    // cout << endl; -> Вывести "" — пустая строка (пустое поле вывода проверка не пропустит);
+    // cout << boolalpha; из экспорта пропускаем — блоки и так выводят true и false
+    output() {
+        const cout = this.next();
+        const items = [];
+        let settingsOnly = true;
+        if (this.peek()?.text !== '<<')
+            this.fail(cout, "Ожидалось 'cout << значение'");
+        while (this.accept('<<')) {
+            const token = this.peek();
+            if (token?.text === 'boolalpha') {
+                this.next();
+                continue;
+            }
+            settingsOnly = false;
+            if (token && (token.text === 'endl' || token.text === '"\\n"')) {
+                this.next();
+                continue;
+            }
+            if (token?.kind === 'string' && /^"\s*"$/.test(token.text)) {
+                this.next();
+                continue;
+            }
+            items.push(this.expression(['<<', ';']));
+        }
+        this.expect(';');
+        if (settingsOnly)
+            return [];
+        return [this.block('Вывести', [items.length > 0 ? items.join(', ') : '""'])];
+    }
+    // cin >> a >> b; -> Ввести a, b
+    input() {
+        this.next();
+        const targets = [];
+        while (this.accept('>>'))
+            targets.push(this.target());
+        this.expect(';');
+        if (targets.length === 0)
+            this.fail(this.tokens[this.pos - 1], "Ожидалось 'cin >> переменная'");
+        return this.block('Ввести', [targets.join(', ')]);
+    }
+    // Текст выражения до одного из стоп-токенов вне скобок; проверяем его разбором
+    expression(stops) {
+        const from = this.pos;
+        let depth = 0;
+        while (this.peek()) {
+            const token = this.peek();
+            if (depth === 0 && stops.includes(token.text))
+                break;
+            if (token.text === '(' || token.text === '[')
+                depth++;
+            if (token.text === ')' || token.text === ']')
+                depth--;
+            if (CppImporter.NOT_IN_EXPRESSION.has(token.text))
+                this.fail(token, `'${token.text}' в выражении не поддерживается`);
+            this.pos++;
+        }
+        const first = this.tokens[from];
+        if (this.pos === from)
+            this.fail(this.peek() || this.tokens[from - 1], 'Ожидалось выражение');
+        const text = this.text(from, this.pos);
+        try {
+            new ExpressionParser().parse(text);
+        }
+        catch (error) {
+            this.fail(first, error.message);
+        }
+        return text;
+    }
+    // {1, 2, 3} или {{1, 2}, {3, 4}} как есть — его разбирает сам блок "Массив"
+    initializer() {
+        const open = this.expect('{');
+        const from = this.pos - 1;
+        let depth = 1;
+        while (depth > 0) {
+            const token = this.peek();
+            if (!token)
+                this.fail(open, "Список значений не закрыт '}'");
+            if (token.text === '{')
+                depth++;
+            if (token.text === '}')
+                depth--;
+            this.pos++;
+        }
+        const text = this.text(from, this.pos);
+        try {
+            ProgramInterpreter.parseInitializer(text).flat().forEach(item => new ExpressionParser().parse(item));
+        }
+        catch (error) {
+            this.fail(open, error.message);
+        }
+        return text;
+    }
+    // Текст заголовка цикла как есть — его разбирает сам блок "Для"
+    rawUntil(stop) {
+        const from = this.pos;
+        while (this.peek() && this.peek().text !== stop)
+            this.pos++;
+        return this.pos > from ? this.text(from, this.pos) : '';
+    }
+    // Токены с from по to (не включая) одной строкой с одиночными пробелами
+    text(from, to) {
+        let text = '';
+        for (let i = from; i < to; i++) {
+            if (i > from && this.tokens[i].start > this.tokens[i - 1].end)
+                text += ' ';
+            text += this.tokens[i].text;
+        }
+        return text;
+    }
+}
+CppImporter.TOKEN = /\s+|\/\/[^\n]*|\/\*[\s\S]*?\*\/|#[^\n]*|([a-zA-Z_]\w*)|(\d+(?:\.\d*)?(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)|("(?:[^"\\\n]|\\.)*")|('(?:[^'\\\n]|\\.)*')|(<<|>>|\+\+|--|[+\-*/%=!<>]=|&&|\|\||[+\-*/%=<>!(){}\[\];,.?:&|])/y;
+// Типы объявлений и блоки, которые их создают
+CppImporter.DECLARATIONS = {
+    int: { block: 'Переменная', type: 'int' },
+    float: { block: 'Вещественные', type: 'float' },
+    double: { block: 'Вещественные', type: 'float' },
+    bool: { block: 'Логические', type: 'bool' },
+    char: { block: 'Символы', type: 'char' },
+    string: { block: 'Строки', type: 'string' }
+};
+// Токены, которых не бывает в выражениях блоков
+CppImporter.NOT_IN_EXPRESSION = new Set(['=', '+=', '-=', '*=', '/=', '%=', '++', '--', '<<', '>>', '.', '?', ':', '{', '}', '&', '|', ';']);
+// Отвечает за запуск кода и вывод в лог
+class Interpreter {
+    // Делаем паузу, чтобы выполнение было видно глазом
+    static sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+    // Печатает сообщение в наше окошко консоли
+    static print(msg, type = 'normal') {
+        if (!this.consoleEl)
+            return null;
+        const line = document.createElement('div');
+        line.className = `console-line ${type === 'normal' ? '' : type + '-msg'}`;
+        line.textContent = `> ${msg}`;
+        this.consoleEl.appendChild(line);
+        this.consoleEl.scrollTop = this.consoleEl.scrollHeight; // Скроллим вниз
+        return line;
+    }
+    // Подсвечивает блоки с проблемами и выводит их кликабельным списком; true — есть ошибки
+    static report(diagnostics, blocks) {
+        diagnostics.forEach(d => {
+            const block = d.node ? blocks.get(d.node.id) : undefined;
+            const prefix = d.severity === 'error' ? 'Ошибка' : 'Предупреждение';
+            const line = this.print(`${prefix}${block ? ` [${block.data.name}]` : ''}: ${d.message}`, d.severity);
+            if (!block)
+                return;
+            block.markProblem(d.message, d.severity);
+            if (line) {
+                line.classList.add('console-link');
+                line.title = 'Показать блок';
+                line.addEventListener('click', () => block.reveal());
+            }
+        });
+        return diagnostics.some(d => d.severity === 'error');
+    }
+    // Кнопка "Проверить": только проверка, без запуска
+    static check(workspace) {
+        if (Debugger.state !== 'idle')
+            return;
+        this.clear();
+        workspace.clearErrors();
+        const { program, blocks, problems } = workspace.buildProgram();
+        const diagnostics = [...problems, ...new ProgramChecker(this.readScopeMode()).check(program)];
+        this.report(diagnostics, blocks);
+        const errors = diagnostics.filter(d => d.severity === 'error').length;
+        if (diagnostics.length === 0)
+            this.print("Проверка пройдена: ошибок не найдено.", "system");
+        else
+            this.print(`Проверка завершена: ошибок — ${errors}, предупреждений — ${diagnostics.length - errors}.`, "system");
+    }
+    // Выбранный режим областей видимости
+    static readScopeMode() {
+        return (Utils.$('#scope-mode')?.value || CONFIG.SCOPE_MODE);
+    }
+    // Чистим консоль перед запуском
+    static clear() {
+        if (this.consoleEl)
+            this.consoleEl.innerHTML = '';
+    }
+    // Основной цикл запуска программы (pauseAtStart — сразу встать на первом блоке)
+    static async run(workspace, pauseAtStart = false) {
+        if (Debugger.state !== 'idle')
+            return;
+        this.clear();
+        this.print("Запуск компиляции...", "system");
+        workspace.clearErrors();
+        if (workspace.getTopBlocks().length === 0) {
+            this.print("Ошибка: Рабочая область пуста.", "error");
+            return;
+        }
+        // Перед запуском проверяем всю программу и показываем все ошибки сразу
+        const { program, blocks, problems } = workspace.buildProgram();
+        const scopeMode = this.readScopeMode();
+        if (this.report([...problems, ...new ProgramChecker(scopeMode).check(program)], blocks)) {
+            this.print("Запуск отменён: исправьте ошибки, отмеченные красным.", "error");
+            return;
+        }
+        const limits = { ...workspace.limits };
+        const seedText = Utils.$('#random-seed')?.value.trim() || '';
+        const seed = /^\d+$/.test(seedText) ? Number(seedText) : undefined;
+        const env = new Environment(limits.maxCallDepth, scopeMode, seed);
+        const runner = new ProgramInterpreter(env, limits);
+        const view = new ExecutionView(blocks);
+        runner.subscribe(view);
+        runner.input = new ConsoleInput(Utils.$('#stdin-buffer')?.value || '');
+        Inspector.reset();
+        Debugger.begin(pauseAtStart);
+        try {
+            this.print("Исполнение...", "system");
+            await runner.run(program);
+            this.print("Программа успешно завершена.", "system");
+        }
+        catch (error) {
+            if (error instanceof StopSignal)
+                this.print("Программа остановлена.", "system");
+            else
+                this.print(`КРИТИЧЕСКАЯ ОШИБКА: ${error.message}`, "error");
+        }
+        finally {
+            if (env.random.used && seed === undefined) {
+                this.print(`Зерно random(): ${env.random.seed} — укажите его в настройках, чтобы повторить запуск.`, "system");
+            }
+            view.finish();
+            Debugger.finish();
+        }
+    }
+}
+Interpreter.consoleEl = typeof document !== 'undefined' ? document.getElementById('console-output') : null;
+// Ползунок скорости: пауза после каждого блока, на последней отметке — мгновенно
+class RunSpeed {
+    static init() {
+        this.slider = Utils.$('#run-speed');
+        this.slider?.addEventListener('input', () => this.updateLabel());
+        this.updateLabel();
+    }
+    // Текущая пауза в мс; читаем на каждом блоке, чтобы скорость менялась прямо во время запуска
+    static get delay() {
+        const level = Number(this.slider?.value ?? this.DEFAULT);
+        return this.DELAYS[Utils.clamp(Number.isInteger(level) ? level : this.DEFAULT, 0, this.DELAYS.length - 1)];
+    }
+    static get instant() {
+        return this.delay === 0;
+    }
+    static updateLabel() {
+        const label = Utils.$('#run-speed-label');
+        if (label)
+            label.textContent = this.instant ? 'мгновенно' : `${this.delay} мс`;
+    }
+}
+// Паузы по отметкам ползунка, от замедленной съёмки до мгновенного режима
+RunSpeed.DELAYS = [1500, 1000, 600, 300, 150, 60, 20, 0];
+RunSpeed.DEFAULT = 3;
+RunSpeed.slider = null;
+// Визуальная сторона выполнения: подсветка блоков, отладчик, инспектор и консоль
+class ExecutionView {
+    constructor(blocks) {
+        // Подсвеченные сейчас блоки — чтобы снять подсветку и после остановки
+        this.lit = new Set();
+        this.env = null;
+        this.lastYield = Date.now();
+        this.blocks = blocks;
+    }
+    // Подсвечиваем блок, даём отладчику остановиться и ждём, чтобы шаг был виден
+    async beforeNode(node, depth) {
+        const block = this.blocks.get(node.id);
+        if (!block)
+            return;
+        if (RunSpeed.instant && !block.breakpoint) {
+            await Debugger.checkpoint(block, depth);
+            if (Date.now() - this.lastYield >= ExecutionView.YIELD_INTERVAL) {
+                if (this.env)
+                    Inspector.update(this.env);
+                await Interpreter.sleep(0);
+                this.lastYield = Date.now();
+            }
+            return;
+        }
+        this.highlight(block, true);
+        await Debugger.checkpoint(block, depth);
+        await Interpreter.sleep(RunSpeed.delay);
+        this.lastYield = Date.now();
+    }
+    // Снимаем подсветку и обновляем панель переменных
+    afterNode(node, env) {
+        this.env = env;
+        const block = this.blocks.get(node.id);
+        if (block && this.lit.has(block))
+            this.highlight(block, false);
+        if (!RunSpeed.instant)
+            Inspector.update(env);
+    }
+    // Конец запуска, в том числе по "Стоп": снимаем всю подсветку и показываем итоговые значения
+    finish() {
+        this.lit.forEach(block => this.highlight(block, false));
+        if (this.env)
+            Inspector.update(this.env);
+    }
+    highlight(block, on) {
+        block.element.style.boxShadow = on ? "0 0 10px 3px yellow" : "0 2px 4px rgba(0, 0, 0, 0.1)";
+        if (on)
+            this.lit.add(block);
+        else
+            this.lit.delete(block);
+    }
+    // Красная рамка на блоке, где произошла ошибка
+    onError(node, error) {
+        const block = this.blocks.get(node.id);
+        if (!block)
+            return;
+        block.markProblem(error.message, 'error');
+        block.element.style.boxShadow = "";
+    }
+    // Сообщения блоков — в консоль
+    onOutput(text) {
+        Interpreter.print(text);
+    }
+}
+// В мгновенном режиме раз в столько мс отдаём управление браузеру, чтобы работала кнопка "Стоп"
+ExecutionView.YIELD_INTERVAL = 30;
+// Ввод в "Терминале вывода": сначала строки из поля входных данных, затем строка ввода прямо в консоли
+class ConsoleInput extends BufferedInput {
+    async readLine(prompt) {
+        const buffered = await super.readLine(prompt);
+        if (buffered !== null) {
+            Interpreter.print(`${prompt}: ${buffered}`, "system");
+            return buffered;
+        }
+        return this.ask(prompt);
+    }
+    invalid(message) {
+        Interpreter.print(`${message}. Попробуйте ещё раз.`, "warning");
+    }
+    // Строка с полем ввода в консоли; Enter отдаёт значение программе
+    ask(prompt) {
+        const consoleEl = Interpreter.consoleEl;
+        if (!consoleEl)
+            return Promise.resolve(null);
+        const line = document.createElement('div');
+        line.className = 'console-line console-input-line';
+        const label = document.createElement('span');
+        label.textContent = `> ${prompt}: `;
+        const field = document.createElement('input');
+        field.type = 'text';
+        field.className = 'console-input';
+        field.setAttribute('aria-label', `Ввод: ${prompt}`);
+        line.append(label, field);
+        consoleEl.appendChild(line);
+        consoleEl.scrollTop = consoleEl.scrollHeight;
+        field.focus();
+        return new Promise((resolve, reject) => {
+            ConsoleInput.pending = { field, reject };
+            field.addEventListener('keydown', e => {
+                if (e.key !== 'Enter')
+                    return;
+                e.preventDefault();
+                ConsoleInput.pending = null;
+                // Введённое остаётся в консоли обычным текстом
+                field.replaceWith(document.createTextNode(field.value));
+                resolve(field.value);
+            });
+        });
+    }
+    // Отмена ожидания ввода (остановка программы)
+    static cancel() {
+        if (!this.pending)
+            return;
+        const { field, reject } = this.pending;
+        this.pending = null;
+        field.disabled = true;
+        reject(new StopSignal());
+    }
+}
+// Ожидающий ввод текущего запуска — его отменяет кнопка "Стоп"
+ConsoleInput.pending = null;
+// Панель с текущими значениями переменных и массивов
+class Inspector {
+    // Очистка перед новым запуском
+    static reset() {
+        this.prevVars = {};
+        this.prevArrays = {};
+        if (this.panelEl)
+            this.panelEl.innerHTML = '<div class="inspector-empty">Переменных пока нет</div>';
+    }
+    // Перерисовка панели по состоянию окружения
+    static update(env) {
+        if (!this.panelEl)
+            return;
+        const chain = env.getScopeChain()
+            .filter(scope => Object.keys(scope.vars).length > 0 || Object.keys(scope.arrays).length > 0);
+        if (chain.length === 0) {
+            this.reset();
+            return;
+        }
+        this.panelEl.innerHTML = '';
+        chain.forEach((scope, depth) => {
+            // Заголовок нужен, только когда видно больше одной области
+            if (chain.length > 1) {
+                const title = document.createElement('div');
+                title.className = 'inspector-scope';
+                title.textContent = scope.label;
+                this.panelEl.appendChild(title);
+            }
+            this.renderVars(scope, `${depth}:`);
+            this.renderArrays(scope, `${depth}:`);
+        });
+    }
+    // Таблица переменных: имя, тип, значение
+    static renderVars(scope, keyPrefix) {
+        const names = Object.keys(scope.vars);
+        if (names.length === 0)
+            return;
+        const table = document.createElement('table');
+        table.className = 'inspector-vars';
+        names.forEach(name => {
+            const v = scope.vars[name];
+            const shown = ValueTypes.display(v);
+            const key = keyPrefix + name;
+            const row = table.insertRow();
+            row.insertCell().textContent = name;
+            row.insertCell().textContent = v.type;
+            const valueCell = row.insertCell();
+            valueCell.textContent = shown;
+            if (this.prevVars[key] !== undefined && this.prevVars[key] !== shown) {
+                valueCell.classList.add('inspector-changed');
+            }
+            this.prevVars[key] = shown;
+        });
+        this.panelEl.appendChild(table);
+    }
+    // Каждый массив — строка ячеек с индексами; двумерный — по строке ячеек на каждую строку матрицы
+    static renderArrays(scope, keyPrefix) {
+        Object.keys(scope.arrays).forEach(name => {
+            const arr = scope.arrays[name];
+            const values = arr.values.map(value => ValueTypes.display({ type: arr.type, value }));
+            const key = keyPrefix + name;
+            const prev = this.prevArrays[key];
+            const rowLength = arr.dims.length > 1 ? arr.dims[1] : values.length;
+            const wrap = document.createElement('div');
+            wrap.className = 'inspector-array';
+            const title = document.createElement('div');
+            title.className = 'inspector-array-name';
+            title.textContent = `${arr.type} ${name}${arr.dims.map(d => `[${d}]`).join('')}`;
+            wrap.appendChild(title);
+            for (let start = 0; start < values.length; start += rowLength) {
+                const cells = document.createElement('div');
+                cells.className = 'inspector-cells';
+                values.slice(start, start + rowLength).forEach((value, j) => {
+                    const i = start + j;
+                    const cell = document.createElement('div');
+                    cell.className = 'inspector-cell';
+                    if (prev && prev[i] !== undefined && prev[i] !== value)
+                        cell.classList.add('inspector-changed');
+                    const index = arr.dims.length > 1 ? `${start / rowLength},${j}` : String(i);
+                    cell.innerHTML = `<span class="inspector-index">${index}</span>`;
+                    cell.append(value);
+                    cells.appendChild(cell);
+                });
+                wrap.appendChild(cells);
+            }
+            this.panelEl.appendChild(wrap);
+            this.prevArrays[key] = values;
+        });
+    }
+}
+Inspector.panelEl = typeof document !== 'undefined' ? document.getElementById('inspector-output') : null;
+// Значения после предыдущего обновления — чтобы подсветить изменившиеся
+Inspector.prevVars = {};
+Inspector.prevArrays = {};
+// Не ошибка, а управляющий сигнал: прерывает выполнение блоков без красной подсветки
+class ControlSignal extends Error {
+}
+// Бросается из точки проверки отладчика, когда нажали "Стоп"
+class StopSignal extends ControlSignal {
+    constructor() {
+        super("Выполнение остановлено");
+    }
+}
+// Бросается блоком "Вернуть" и ловится в Environment.callFunction
+class ReturnSignal extends ControlSignal {
+    constructor(value) {
+        super("Вернуть вне функции");
+        this.value = value;
+    }
+}
+// Бросается блоком "Прервать" и ловится ближайшим циклом
+class BreakSignal extends ControlSignal {
+    constructor() {
+        super("Прервать");
+    }
+}
+// Бросается блоком "Продолжить": цикл переходит к следующей итерации
+class ContinueSignal extends ControlSignal {
+    constructor() {
+        super("Продолжить");
+    }
+}
+// Пошаговый режим: пауза, шаги, точки останова и остановка
+class Debugger {
+    // Вешаем обработчики на панель отладки
+    static init(workspace) {
+        this.workspace = workspace;
+        this.buttons = {
+            pause: Utils.$('#debug-pause'),
+            resume: Utils.$('#debug-resume'),
+            stepOver: Utils.$('#debug-step-over'),
+            stepInto: Utils.$('#debug-step-into'),
+            stop: Utils.$('#debug-stop'),
+            start: Utils.$('#start-workspace'),
+            halt: Utils.$('#stop-workspace')
+        };
+        this.buttons.pause?.addEventListener('click', () => this.pause());
+        this.buttons.resume?.addEventListener('click', () => this.resume());
+        this.buttons.stop?.addEventListener('click', () => this.stop());
+        this.buttons.halt?.addEventListener('click', () => this.stop());
+        // Шаг без запущенной программы — запуск с остановкой на первом блоке
+        this.buttons.stepOver?.addEventListener('click', () => {
+            if (this.state === 'idle')
+                Interpreter.run(workspace, true);
+            else
+                this.stepOver();
+        });
+        this.buttons.stepInto?.addEventListener('click', () => {
+            if (this.state === 'idle')
+                Interpreter.run(workspace, true);
+            else
+                this.stepInto();
+        });
+        this.updateControls();
+    }
+    // Начало запуска
+    static begin(pauseAtStart) {
+        this.state = 'running';
+        this.stepMode = pauseAtStart ? 'into' : 'none';
+        this.pauseRequested = false;
+        this.stopRequested = false;
+        this.updateControls();
+    }
+    // Программа завершилась (успешно, с ошибкой или остановлена)
+    static finish() {
+        this.current?.element.classList.remove('paused-block');
+        this.current = null;
+        this.resumeFn = null;
+        this.state = 'idle';
+        this.stepMode = 'none';
+        this.updateControls();
+    }
+    // Вызывается перед каждым блоком (depth — глубина вложенности): здесь программа может встать на паузу
+    static async checkpoint(block, depth) {
+        if (this.stopRequested)
+            throw new StopSignal();
+        const shouldPause = this.pauseRequested
+            || block.breakpoint
+            || this.stepMode === 'into'
+            || (this.stepMode === 'over' && depth <= this.stepDepth);
+        if (!shouldPause)
+            return;
+        this.pauseRequested = false;
+        this.stepMode = 'none';
+        this.current = block;
+        this.currentDepth = depth;
+        this.state = 'paused';
+        block.element.classList.add('paused-block');
+        this.updateControls();
+        Interpreter.print(`[Отладка] Пауза: ${block.data.name}`, "system");
+        await new Promise(resolve => this.resumeFn = resolve);
+        block.element.classList.remove('paused-block');
+        this.current = null;
+        if (this.stopRequested)
+            throw new StopSignal();
+    }
+    // Остановиться на ближайшем блоке
+    static pause() {
+        if (this.state === 'running')
+            this.pauseRequested = true;
+    }
+    // Продолжить до следующей точки останова
+    static resume() {
+        this.continueWith('none');
+    }
+    // Выполнить текущий блок целиком (вместе со слотами) и встать на следующем
+    static stepOver() {
+        this.stepDepth = this.currentDepth;
+        this.continueWith('over');
+    }
+    // Зайти внутрь слота текущего блока
+    static stepInto() {
+        this.continueWith('into');
+    }
+    // Прервать выполнение программы
+    static stop() {
+        if (this.state === 'idle')
+            return;
+        this.stopRequested = true;
+        ConsoleInput.cancel();
+        if (this.state === 'paused')
+            this.continueWith('none');
+    }
+    // Снимаем паузу с заданным режимом шага
+    static continueWith(mode) {
+        if (this.state !== 'paused' || !this.resumeFn)
+            return;
+        this.stepMode = mode;
+        this.state = 'running';
+        const resume = this.resumeFn;
+        this.resumeFn = null;
+        this.updateControls();
+        resume();
+    }
+    // Доступность кнопок зависит от состояния
+    static updateControls() {
+        const { pause, resume, stepOver, stepInto, stop, start, halt } = this.buttons;
+        if (pause)
+            pause.disabled = this.state !== 'running';
+        if (resume)
+            resume.disabled = this.state !== 'paused';
+        if (stepOver)
+            stepOver.disabled = this.state === 'running';
+        if (stepInto)
+            stepInto.disabled = this.state === 'running';
+        if (stop)
+            stop.disabled = this.state === 'idle';
+        // Второй запуск поверх идущего перемешал бы вывод и подсветку
+        if (start)
+            start.disabled = this.state !== 'idle';
+        if (halt)
+            halt.disabled = this.state === 'idle';
+        // Пока программа идёт, поле не откатываем — её блоки подсвечиваются
+        this.workspace?.history.updateButtons();
+    }
+}
+Debugger.state = 'idle';
+Debugger.stepMode = 'none';
+Debugger.stepDepth = 0;
+Debugger.pauseRequested = false;
+Debugger.stopRequested = false;
+Debugger.resumeFn = null;
+Debugger.current = null;
+Debugger.currentDepth = 0;
+Debugger.buttons = {};
+Debugger.workspace = null;
+// Вспомогательные функции для работы с DOM
+class Utils {
+    // Короткий выбор элемента
+    static $(s) { return document.querySelector(s); }
+    // Короткий выбор списка элементов
+    static $$(s) { return document.querySelectorAll(s); }
+    // Ограничение числа
+    static clamp(v, min, max) { return Math.max(min, Math.min(v, max)); }
+    // Определяем категорию блока по его расположению в меню
+    static getCategory(el) {
+        const entries = Object.entries(CONFIG.SELECTORS);
+        for (const [cat, selector] of entries) {
+            if (el.closest(selector))
+                return cat;
+        }
+        return 'operator';
+    }
+    // Блоки, лежащие прямо в контейнере (рабочей области или слоте), по порядку
+    static blocksIn(container) {
+        return Array.from(container.querySelectorAll(':scope > .workspace-item'))
+            .map(el => el.blockInstance)
+            .filter(b => b);
+    }
+    // Вытаскиваем инфу о блоке из HTML
+    static getItemData(el) {
+        return {
+            name: el.querySelector('.function-name')?.textContent?.trim() || 'Блок',
+            description: el.querySelector('.function-desc')?.textContent?.trim() || '',
+            category: this.getCategory(el),
+            shape: el.dataset.shape || 'square'
+        };
+    }
+    // Данные блока из меню по его имени — для блоков, созданных не перетаскиванием
+    static paletteData(name) {
+        const item = Array.from(this.$$('.function-item')).find(el => el.querySelector('.function-name')?.textContent?.trim() === name);
+        if (!item)
+            throw new Error(`В меню нет блока '${name}'`);
+        return this.getItemData(item);
+    }
+}
+// Блок-выражение: кладётся в поле условия или значения и в дырки других выражений.
+// Текст выражения собирается из дерева блоков, поэтому проверка и запуск работают с ним как с обычным полем
+class ExpressionBlock {
+    constructor(kind) {
+        this.kind = kind;
+        this.element = this.render();
+    }
+    // Вид блока по имени в меню
+    static kindOf(name) {
+        return Object.keys(this.KINDS).find(kind => this.KINDS[kind].name === name);
+    }
+    // Блок-выражение, которому принадлежит элемент
+    static of(el) {
+        const block = el?.closest('.expr-block');
+        return block ? block.exprInstance : null;
+    }
+    // Пустая дырка: в неё можно положить блок
+    static isEmptyHole(el) {
+        return !!el?.classList.contains('expr-hole') && !el.querySelector(':scope > .expr-block');
+    }
+    // Разметка: поле, оператор и дырки в том порядке, в каком они стоят в тексте
+    render() {
+        const spec = ExpressionBlock.KINDS[this.kind];
+        const el = document.createElement('span');
+        el.className = `expr-block expr-${this.kind}`;
+        el.tabIndex = 0;
+        el.setAttribute('role', 'group');
+        el.setAttribute('aria-label', spec.name);
+        el.exprInstance = this;
+        const hole = (optional = false) => `<span class="expr-hole${optional ? ' expr-optional' : ''}" tabindex="0" aria-label="${optional ? 'Необязательное место' : 'Место'} для выражения"></span>`;
+        const named = this.kind === 'var' || this.kind === 'index' ? ' list="expr-names"' : '';
+        const field = `<input class="expr-input" placeholder="${spec.placeholder}"${named} aria-label="${spec.name}" />`;
+        const ops = spec.ops ? `<select class="expr-op" aria-label="Оператор">${spec.ops.map(op => `<option value="${op}">${op}</option>`).join('')}</select>` : '';
+        const parts = {
+            var: field,
+            number: field,
+            string: `"${field}"`,
+            arith: hole() + ops + hole(),
+            compare: hole() + ops + hole(),
+            logic: hole() + ops + hole(),
+            not: `НЕ ${hole()}`,
+            index: `${field}[${hole()}][${hole(true)}]`
+        };
+        el.innerHTML = `${parts[this.kind]}<button class="expr-remove" title="Убрать" aria-label="Убрать блок">×</button>`;
+        return el;
+    }
+    // Собственные дырки блока по порядку
+    holes() {
+        return Array.from(this.element.querySelectorAll(':scope > .expr-hole'));
+    }
+    // Блоки, лежащие в дырках (null — дырка пуста)
+    args() {
+        return this.holes().map(hole => ExpressionBlock.of(hole.querySelector(':scope > .expr-block')));
+    }
+    get input() {
+        return this.element.querySelector(':scope > .expr-input');
+    }
+    get select() {
+        return this.element.querySelector(':scope > .expr-op');
+    }
+    // Приоритет блока в тексте: отрицательное число ведёт себя как унарный минус
+    precedence() {
+        if (this.kind === 'not')
+            return ExpressionParser.UNARY_PRECEDENCE;
+        if (this.select)
+            return ExpressionParser.PRECEDENCE[this.select.value];
+        return this.kind === 'number' && this.input.value.trim().startsWith('-') ? ExpressionParser.UNARY_PRECEDENCE : ExpressionBlock.PRIMARY;
+    }
+    // Текст выражения; пустая дырка остаётся пустым местом — проверка покажет, чего не хватает
+    toText() {
+        const [first, second] = this.args();
+        const value = this.input?.value.trim() ?? '';
+        const op = this.select?.value ?? '';
+        const wrap = (child, min) => {
+            if (!child)
+                return '';
+            return child.precedence() < min ? `(${child.toText()})` : child.toText();
+        };
+        switch (this.kind) {
+            case 'var':
+            case 'number': return value;
+            case 'string': return `"${value}"`;
+            case 'not': return `NOT ${wrap(first, ExpressionBlock.PRIMARY)}`;
+            case 'index': return `${value}[${wrap(first, 0)}]${second ? `[${wrap(second, 0)}]` : ''}`;
+            default: {
+                // Слева равный приоритет скобок не требует, справа — требует: a - (b - c)
+                const own = this.precedence();
+                return `${wrap(first, own)} ${op} ${wrap(second, own + 1)}`;
+            }
+        }
+    }
+    // Подсветка ошибок, заметных без запуска: неверное имя или число, кавычка внутри текста
+    validate() {
+        const input = this.input;
+        if (!input)
+            return;
+        const value = input.value.trim();
+        const checks = {
+            var: /^[a-zA-Z_]\w*$/.test(value),
+            index: /^[a-zA-Z_]\w*$/.test(value),
+            number: /^-?\d+(\.\d+)?([eE][+-]?\d+)?$/.test(value),
+            string: !value.includes('"')
+        };
+        input.classList.toggle('expr-invalid', checks[this.kind] === false);
+    }
+    // Дерево блоков для сохранения
+    save() {
+        const saved = { kind: this.kind, args: this.args().map(arg => arg?.save() ?? null) };
+        if (this.input)
+            saved.value = this.input.value;
+        if (this.select)
+            saved.op = this.select.value;
+        return saved;
+    }
+    // Блоки из сохранённого дерева
+    static load(saved) {
+        const block = new ExpressionBlock(saved.kind);
+        if (block.input)
+            block.input.value = saved.value ?? '';
+        if (block.select && saved.op)
+            block.select.value = saved.op;
+        block.holes().forEach((hole, i) => {
+            const arg = saved.args[i];
+            if (arg)
+                hole.appendChild(ExpressionBlock.load(arg).element);
+        });
+        block.validate();
+        return block;
+    }
+    // Разобранное выражение -> дерево блоков; бросает ошибку, если для части выражения блока нет
+    static fromExpr(node) {
+        switch (node.kind) {
+            case 'var': return { kind: 'var', value: node.name, args: [] };
+            case 'literal': {
+                const text = String(node.value);
+                if (node.type === 'int')
+                    return { kind: 'number', value: text, args: [] };
+                // 2.0 остаётся дробным: иначе тип выражения поменялся бы на int
+                if (node.type === 'float')
+                    return { kind: 'number', value: Number.isInteger(node.value) ? `${text}.0` : text, args: [] };
+                if (node.type === 'bool')
+                    return { kind: 'var', value: text, args: [] };
+                if (node.type === 'string' && !text.includes('"'))
+                    return { kind: 'string', value: text, args: [] };
+                throw new Error(node.type === 'char' ? `нет блока для символа '${text}'` : 'нет блока для строки с кавычками');
+            }
+            case 'index':
+                if (node.indices.length > 2)
+                    throw new Error(`у массива ${node.name} больше двух индексов`);
+                return { kind: 'index', value: node.name, args: [this.fromExpr(node.indices[0]), node.indices[1] ? this.fromExpr(node.indices[1]) : null] };
+            case 'unary': {
+                if (node.op === 'NOT')
+                    return { kind: 'not', args: [this.fromExpr(node.operand)] };
+                const operand = node.operand.kind === 'literal' && typeof node.operand.value === 'number' ? this.fromExpr(node.operand) : null;
+                if (!operand)
+                    throw new Error('нет блока для минуса перед выражением — запишите 0 - x');
+                return { ...operand, value: `-${operand.value}` };
+            }
+            case 'binary': {
+                const kind = ['arith', 'compare', 'logic'].find(k => this.KINDS[k].ops.includes(node.op));
+                if (!kind)
+                    throw new Error(`нет блока для оператора ${node.op}`);
+                return { kind, op: node.op, args: [this.fromExpr(node.left), this.fromExpr(node.right)] };
+            }
+            case 'call': throw new Error(`нет блока для вызова ${node.name}()`);
+        }
+    }
+}
+// Виды блоков: имя в меню, операторы на выбор, число дырок и подсказка поля
+ExpressionBlock.KINDS = {
+    var: { name: 'Имя', holes: 0, placeholder: 'x' },
+    number: { name: 'Число', holes: 0, placeholder: '0' },
+    string: { name: 'Текст', holes: 0, placeholder: 'текст' },
+    arith: { name: 'Арифметика', ops: ['+', '-', '*', '/', '%'], holes: 2 },
+    compare: { name: 'Сравнение', ops: ['==', '!=', '<', '>', '<=', '>='], holes: 2 },
+    logic: { name: 'И / ИЛИ', ops: ['AND', 'OR'], holes: 2 },
+    not: { name: 'НЕ', holes: 1 },
+    index: { name: 'Элемент массива', holes: 2, placeholder: 'arr' }
+};
+// Число, имя или блок с собственной записью — в скобки не берётся никогда
+ExpressionBlock.PRIMARY = ExpressionParser.UNARY_PRECEDENCE + 1;
+// Поле условия или значения: обычный текст либо дерево блоков-выражений.
+// В инпуте всегда лежит текст выражения — его читают проверка, запуск, экспорт кода и сохранение
+class ExpressionField {
+    constructor(input) {
+        this.input = input;
+        this.root = document.createElement('span');
+        this.root.className = 'expr-hole expr-root';
+        this.root.tabIndex = 0;
+        this.root.hidden = true;
+        this.root.setAttribute('aria-label', 'Место для выражения');
+        this.toggle = document.createElement('button');
+        this.toggle.className = 'expr-toggle';
+        this.toggle.textContent = '⇄';
+        this.toggle.title = 'Собрать из блоков / вернуть текст';
+        input.exprField = this;
+        this.root.exprField = this;
+        this.toggle.exprField = this;
+        input.after(this.root, this.toggle);
+        // Правка поля или оператора внутри блоков сразу меняет текст
+        this.root.addEventListener('input', () => this.sync());
+    }
+    // Поле, которому принадлежит элемент (инпут, корневая дырка, кнопка или что-то внутри блоков)
+    static of(el) {
+        const host = el?.closest('.expr-root, .expr-toggle') ?? el;
+        return host ? host.exprField ?? null : null;
+    }
+    // Собрано ли поле из блоков
+    get blockMode() {
+        return !this.root.hidden;
+    }
+    // Текст -> блоки; возвращает причину, если выражение блоками не записать
+    toBlocks() {
+        if (this.blockMode)
+            return null;
+        const text = this.input.value.trim();
+        let saved = null;
+        if (text) {
+            try {
+                saved = ExpressionBlock.fromExpr(new ExpressionParser().parse(text));
+            }
+            catch (e) {
+                return e.message;
+            }
+        }
+        this.load(saved);
+        return null;
+    }
+    // Блоки -> текст: текст уже лежит в инпуте, осталось убрать блоки
+    toText() {
+        this.root.replaceChildren();
+        this.root.hidden = true;
+        this.input.hidden = false;
+        this.toggle.classList.remove('active');
+    }
+    // Собираем поле из сохранённого дерева (null — пустое поле из блоков)
+    load(saved) {
+        this.root.replaceChildren();
+        if (saved)
+            this.root.appendChild(ExpressionBlock.load(saved).element);
+        this.root.hidden = false;
+        this.input.hidden = true;
+        this.toggle.classList.add('active');
+        this.sync();
+    }
+    save() {
+        return ExpressionBlock.of(this.root.querySelector(':scope > .expr-block'))?.save() ?? null;
+    }
+    // Текст из блоков — в инпут; заодно подсвечиваем ошибки в блоках
+    sync() {
+        if (!this.blockMode)
+            return;
+        this.input.value = ExpressionBlock.of(this.root.querySelector(':scope > .expr-block'))?.toText() ?? '';
+        this.root.querySelectorAll('.expr-block').forEach(el => ExpressionBlock.of(el).validate());
+    }
+}
+// Поля блоков (по BLOCK_SPECS), которые можно собирать из блоков-выражений
+ExpressionField.FIELDS = new Set(['cond', 'value']);
+// Блоки-выражения на поле: перетаскивание (из меню и между дырками), вставка с клавиатуры,
+// переключение полей между текстом и блоками и подсказка объявленных имён
+class ExpressionEditor {
+    constructor(workspace) {
+        // Последняя дырка, на которой был фокус, — туда вставляем с клавиатуры
+        this.lastHole = null;
+        this.workspace = workspace;
+    }
+    init() {
+        const area = this.workspace.element;
+        if (!area)
+            return;
+        area.addEventListener('pointerdown', (e) => {
+            const target = e.target;
+            const block = ExpressionBlock.of(target);
+            if (block && !BaseBlock.isField(target) && !target.closest('.expr-remove'))
+                this.drag(e, () => block, block);
+        });
+        area.addEventListener('click', (e) => {
+            const target = e.target;
+            if (target.closest('.expr-toggle')) {
+                e.stopPropagation();
+                this.toggle(ExpressionField.of(target));
+            }
+            else if (target.closest('.expr-remove')) {
+                e.stopPropagation();
+                this.remove(ExpressionBlock.of(target));
+            }
+        });
+        area.addEventListener('focusin', (e) => {
+            const target = e.target;
+            if (target.classList.contains('expr-hole'))
+                this.lastHole = target;
+            if (target.matches('.expr-var > .expr-input, .expr-index > .expr-input'))
+                this.updateNames();
+        });
+        // Delete на самом блоке-выражении убирает только его, а не весь блок программы
+        area.addEventListener('keydown', (e) => {
+            const target = e.target;
+            if (!target.classList.contains('expr-block') || (e.key !== 'Delete' && e.key !== 'Backspace'))
+                return;
+            e.preventDefault();
+            e.stopPropagation();
+            this.remove(ExpressionBlock.of(target));
+        });
+    }
+    // Поля выражений всех блоков на поле
+    fields() {
+        return Array.from(this.workspace.element?.querySelectorAll('.workspace-item') ?? [])
+            .flatMap(el => el.blockInstance.expressionFields);
+    }
+    // Кнопка ⇄ у поля: текст -> блоки или обратно
+    toggle(field) {
+        if (field.blockMode) {
+            field.toText();
+        }
+        else {
+            const problem = field.toBlocks();
+            if (problem) {
+                Interpreter.print(`Не удалось собрать «${field.input.value.trim()}» из блоков: ${problem}`, "error");
+                return;
+            }
+        }
+        this.workspace.notifyChange();
+    }
+    // Все поля выражений сразу; что не записать блоками, остаётся текстом
+    convertAll(toBlocks) {
+        let failed = 0;
+        this.fields().forEach(field => {
+            if (!toBlocks)
+                field.toText();
+            else if (field.toBlocks())
+                failed++;
+        });
+        this.workspace.notifyChange();
+        if (failed > 0)
+            Interpreter.print(`Осталось текстом полей: ${failed} — в них есть то, чего нет среди блоков-выражений`, "system");
+    }
+    // Убираем блок-выражение вместе со всем, что лежит в его дырках
+    remove(block) {
+        const field = ExpressionField.of(block.element);
+        const hole = block.element.parentElement;
+        block.element.remove();
+        field?.sync();
+        hole?.focus();
+        this.workspace.notifyChange();
+    }
+    // Тянем блок-выражение: новый из меню или уже лежащий в дырке.
+    // Отпустили над пустой дыркой или пустым полем — блок ложится туда, иначе убирается
+    drag(e, create, existing = null) {
+        if (e.button !== 0)
+            return;
+        e.preventDefault();
+        e.stopPropagation();
+        existing?.element.focus({ preventScroll: true });
+        const start = { x: e.clientX, y: e.clientY };
+        let block = null;
+        const onMove = (ev) => {
+            if (!block) {
+                if (Math.hypot(ev.clientX - start.x, ev.clientY - start.y) < ExpressionEditor.DRAG_THRESHOLD)
+                    return;
+                block = create();
+                if (existing) {
+                    const field = ExpressionField.of(existing.element);
+                    existing.element.remove();
+                    field?.sync();
+                }
+                block.element.classList.add('dragging');
+                document.body.appendChild(block.element);
+            }
+            Object.assign(block.element.style, {
+                position: 'fixed',
+                zIndex: "2000",
+                transform: `scale(${this.workspace.viewport.zoom})`,
+                left: `${ev.clientX - block.element.offsetWidth / 2}px`,
+                top: `${ev.clientY - block.element.offsetHeight / 2}px`
+            });
+            this.clearHighlights();
+            this.targetAt(ev.clientX, ev.clientY)?.classList.add('expr-drop');
+        };
+        const onUp = (ev) => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+            this.clearHighlights();
+            if (!block)
+                return;
+            block.element.classList.remove('dragging');
+            block.element.removeAttribute('style');
+            const target = ev.type === 'pointerup' ? this.targetAt(ev.clientX, ev.clientY) : null;
+            if (target)
+                this.place(block, target);
+            else
+                block.element.remove();
+            this.workspace.notifyChange();
+        };
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+    }
+    // Куда ляжет блок в этой точке: пустая дырка или пустое текстовое поле условия/значения
+    targetAt(x, y) {
+        for (const el of document.elementsFromPoint(x, y)) {
+            if (el.classList.contains('dragging') || !this.workspace.element?.contains(el))
+                continue;
+            if (ExpressionBlock.isEmptyHole(el))
+                return el;
+            const field = el instanceof HTMLInputElement ? ExpressionField.of(el) : null;
+            if (field && !field.blockMode && !field.input.value.trim())
+                return el;
+            if (el.closest('.expr-hole, .block-input'))
+                return null;
+        }
+        return null;
+    }
+    // Кладём блок в дырку; пустое текстовое поле сначала переводится в блоки
+    place(block, target) {
+        let hole = target;
+        if (target instanceof HTMLInputElement) {
+            const field = ExpressionField.of(target);
+            field.load(null);
+            hole = field.root;
+        }
+        hole.appendChild(block.element);
+        ExpressionField.of(hole)?.sync();
+    }
+    clearHighlights() {
+        this.workspace.element?.querySelectorAll('.expr-drop').forEach(el => el.classList.remove('expr-drop'));
+    }
+    // Вставка из меню с клавиатуры: в последнюю выбранную пустую дырку, иначе — в первое свободное место текущего блока
+    insert(kind) {
+        const current = this.workspace.keyboard.currentBlock();
+        const target = this.lastHole?.closest('.workspace-item') === current?.element && ExpressionBlock.isEmptyHole(this.lastHole)
+            ? this.lastHole
+            : current ? this.freeSpot(current) : null;
+        if (!target) {
+            Interpreter.print("Некуда вставить выражение: выберите блок с пустым условием или значением", "error");
+            return;
+        }
+        const block = new ExpressionBlock(kind);
+        this.place(block, target);
+        this.workspace.notifyChange();
+        (block.element.querySelector('.expr-input, .expr-hole') ?? block.element).focus();
+    }
+    // Первое свободное место в полях блока: пустое текстовое поле или пустая обязательная дырка
+    freeSpot(block) {
+        for (const field of block.expressionFields) {
+            if (!field.blockMode) {
+                if (!field.input.value.trim())
+                    return field.input;
+                continue;
+            }
+            const holes = [field.root, ...Array.from(field.root.querySelectorAll('.expr-hole:not(.expr-optional)'))];
+            const hole = holes.find(h => ExpressionBlock.isEmptyHole(h));
+            if (hole)
+                return hole;
+        }
+        return null;
+    }
+    // Подсказка для полей имён: переменные, массивы и параметры, объявленные на поле
+    updateNames() {
+        const list = Utils.$('#expr-names');
+        if (!list)
+            return;
+        const names = new Set();
+        Utils.$$('#workspace .workspace-item').forEach(el => {
+            const block = el.blockInstance;
+            const spec = BLOCK_SPECS[block.data.name];
+            if (!spec)
+                return;
+            block.getInputs().forEach((input, i) => {
+                const field = spec.fields[i];
+                const declares = (spec.kind === 'varDecl' && field === 'names') || (spec.kind === 'arrayDecl' && field === 'name') || field === 'params';
+                if (!declares)
+                    return;
+                input.value.split(',').map(part => part.trim()).filter(name => /^[a-zA-Z_]\w*$/.test(name)).forEach(name => names.add(name));
+            });
+        });
+        list.replaceChildren(...Array.from(names).sort().map(name => Object.assign(document.createElement('option'), { value: name })));
+    }
+}
+// Насколько сдвинуть указатель, чтобы нажатие стало перетаскиванием
+ExpressionEditor.DRAG_THRESHOLD = 4;
+// Абстрактный класс для всех блоков (база)
+class BaseBlock {
+    constructor(data, workspace) {
+        this.next = null;
+        this.previous = null;
+        this.breakpoint = false;
+        this.data = data;
+        this.workspace = workspace;
+        this.element = this.render();
+        const fields = BLOCK_SPECS[data.name]?.fields ?? [];
+        this.expressionFields = this.getInputs()
+            .filter((_, i) => ExpressionField.FIELDS.has(fields[i]))
+            .map(input => new ExpressionField(input));
+        this.attachEvents();
+    }
+    // Создаем HTML структуру блока
+    render() {
+        const item = document.createElement('div');
+        item.className = `workspace-item ${this.data.category}-item shape-${this.data.shape}`;
+        item.dataset.category = this.data.category;
+        item.blockInstance = this;
+        item.innerHTML = `
+            <div class="item-name">${this.data.name}</div>
+            <div class="item-desc">${this.data.description}</div>
+            ${this.getInnerTemplate()} 
+            <button class="breakpoint-toggle" title="Точка останова"></button>
+            <button class="remove-item" title="Удалить">×</button>
+        `;
+        Object.assign(item.style, { position: 'absolute', zIndex: "10" });
+        // Для экранного диктора: блок — узел дерева программы, слоты — вложенные группы
+        item.tabIndex = -1;
+        item.setAttribute('role', 'treeitem');
+        item.setAttribute('aria-label', this.data.name);
+        const slots = Array.from(item.querySelectorAll('.block-slot'));
+        slots.forEach(slot => {
+            slot.setAttribute('role', 'group');
+            slot.setAttribute('aria-label', slot.dataset.label || 'Вложенные блоки');
+        });
+        // Порты режима узлов: вход сверху, внизу выходы «Дальше» и по одному на слот
+        const outputs = [
+            ...(NodeGraph.hasInput(this.data.name) ? [{ port: NodeGraph.NEXT, label: 'Дальше' }] : []),
+            ...slots.map((slot, i) => ({ port: NodeGraph.slotPort(i), label: slot.dataset.label || '' }))
+        ];
+        if (NodeGraph.hasInput(this.data.name))
+            item.insertAdjacentHTML('afterbegin', '<div class="node-port port-in" title="Вход"></div>');
+        item.insertAdjacentHTML('beforeend', `<div class="node-outputs">${outputs
+            .map(o => `<div class="node-port port-out" data-port="${o.port}" title="Протяните провод к входу блока">${o.label}</div>`)
+            .join('')}</div>`);
+        return item;
+    }
+    // Является ли блок циклом
+    isLoop() { return false; }
+    // Блок, в слоте которого лежит этот блок
+    getParentBlock() {
+        const el = this.element.parentElement?.closest('.workspace-item');
+        return el ? el.blockInstance : null;
+    }
+    // Нужен ли цикл снаружи: "Прервать"/"Продолжить" внутри блока, не закрытые своим циклом
+    needsEnclosingLoop() {
+        if (this.isLoop())
+            return false;
+        return this.getSlots().some(slot => Utils.blocksIn(slot).some(b => b.needsEnclosingLoop()));
+    }
+    // Общее правило слотов: то, чему нужен цикл, кладём только внутрь цикла
+    acceptsLoopControl(childNeedsLoop = false) {
+        if (!childNeedsLoop)
+            return true;
+        for (let b = this; b; b = b.getParentBlock()) {
+            if (b.isLoop())
+                return true;
+        }
+        return false;
+    }
+    // События удаления, точки останова и начала перетаскивания
+    attachEvents() {
+        this.element.querySelector('.remove-item')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.destroy();
+        });
+        this.element.querySelector(':scope > .breakpoint-toggle')?.addEventListener('click', (e) => {
+            e.stopPropagation();
+            this.toggleBreakpoint();
+        });
+        // Если нажали не по полю ввода — значит хотим тащить (мышь, перо и палец — одним путём)
+        this.element.addEventListener('pointerdown', (e) => {
+            if (!BaseBlock.isField(e.target)) {
+                this.workspace.dragStart(e, this);
+            }
+        });
+        // Отключаем нативный drag-n-drop браузера
+        this.element.ondragstart = (e) => {
+            if (!BaseBlock.isField(e.target))
+                e.preventDefault();
+        };
+    }
+    // Фокус в поле блока; поле, собранное из блоков, получает фокус корневой дыркой
+    focusField(index = 0) {
+        const input = this.getInputs()[index];
+        const field = this.expressionFields.find(f => f.input === input);
+        (field?.blockMode ? field.root : input)?.focus();
+    }
+    // Поле ввода или список внутри блока — там работает обычное редактирование
+    static isField(target) {
+        return target instanceof Element && !!target.closest('input, select, textarea');
+    }
+    // Текст для экранного диктора: имя блока и заполненные поля
+    describe() {
+        const values = this.getInputs().map(input => input.value.trim()).filter(value => value);
+        return values.length > 0 ? `${this.data.name}: ${values.join(', ')}` : this.data.name;
+    }
+    // Ставит или снимает точку останова на блоке
+    toggleBreakpoint() {
+        this.breakpoint = !this.breakpoint;
+        this.element.classList.toggle('has-breakpoint', this.breakpoint);
+    }
+    // Отмечает блок найденной проблемой: рамка и подсказка при наведении
+    markProblem(message, severity) {
+        const cls = severity === 'error' ? 'error-highlight' : 'warning-highlight';
+        this.element.classList.add(cls);
+        this.element.title = this.element.title ? `${this.element.title}\n${message}` : message;
+    }
+    // Прокручивает поле к блоку и встряхивает его
+    reveal() {
+        this.workspace.viewport.reveal(this.element);
+        this.element.classList.remove('reveal-flash');
+        void this.element.offsetWidth;
+        this.element.classList.add('reveal-flash');
+    }
+    // Вставляет блок в связный список после текущего
+    insertAfter(block) {
+        block.next = this.next;
+        if (this.next)
+            this.next.previous = block;
+        this.next = block;
+        block.previous = this;
+    }
+    // Вырезает блок из связного списка
+    removeFromList() {
+        if (this.previous)
+            this.previous.next = this.next;
+        if (this.next)
+            this.next.previous = this.previous;
+        this.next = null;
+        this.previous = null;
+    }
+    // Собственные поля блока (без полей блоков, вложенных в слоты)
+    getInputs() {
+        return Array.from(this.element.querySelectorAll('.block-input'))
+            .filter(input => input.closest('.workspace-item') === this.element);
+    }
+    // Слоты блока в порядке их следования в разметке
+    getSlots() {
+        return Array.from(this.element.querySelectorAll(':scope > .block-slot'));
+    }
+    // Узел программы из блока и всего, что лежит в его слотах (порядок — по связному списку)
+    toNode(builder, blocks) {
+        const slots = this.getSlots().map(slot => {
+            const nodes = [];
+            const firstEl = slot.querySelector(':scope > .workspace-item');
+            let child = firstEl ? firstEl.blockInstance : null;
+            for (; child; child = child.next)
+                nodes.push(child.toNode(builder, blocks));
+            return nodes;
+        });
+        const node = builder.node(this.data.name, this.getInputs().map(input => input.value), slots);
+        blocks.set(node.id, this);
+        return node;
+    }
+    // Полное удаление
+    destroy() {
+        this.removeFromList();
+        this.element.remove();
+        this.workspace.syncLinkedLists();
+        this.workspace.checkEmpty();
+        this.workspace.notifyChange();
+    }
+}
+// Блок старта программы
+class RootBlock extends BaseBlock {
+    getInnerTemplate() { return '<div class="block-slot" data-label="Тело программы"></div>'; }
+    canAccept(childCategory, childShape, childNeedsLoop) {
+        return this.acceptsLoopControl(childNeedsLoop);
+    }
+    isMovableToSlot() { return false; }
+}
+// Блок создания обычных переменных
+class VarDeclBlock extends BaseBlock {
+    getInnerTemplate() {
+        const placeholder = VarDeclBlock.placeholders[this.data.name] || 'x, y';
+        return `<input class="block-input" placeholder="${placeholder}" title="Через запятую" />`;
+    }
+    canAccept() { return false; }
+    isMovableToSlot() { return true; }
+}
+// Подсказка в поле по типу объявляемых переменных
+VarDeclBlock.placeholders = {
+    'Переменная': 'x, y, result',
+    'Вещественные': 'avg, price',
+    'Логические': 'found, done',
+    'Символы': 'c, letter'
+};
+// Блок создания массива
+class ArrayDeclBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `<div class="input-row">
+                    <select class="block-input" style="width: 22%" title="Тип элементов">
+                        ${ValueTypes.ALL.map(type => `<option value="${type}">${type}</option>`).join('')}
+                    </select>
+                    <input class="block-input" placeholder="arr" style="width: 26%" title="Имя массива"/>[
+                    <input class="block-input" placeholder="10" style="width: 17%" title="Размер (строк)"/>][
+                    <input class="block-input" placeholder="" style="width: 17%" title="Столбцов — для двумерного массива"/>]
+                </div>
+                <div class="input-row">
+                    = <input class="block-input" placeholder="{5, 3, 8, 1}" style="width: 88%" title="Начальные значения (необязательно)"/>
+                </div>`;
+    }
+    canAccept() { return false; }
+    isMovableToSlot() { return true; }
+}
+// Блок присваивания (x = 5)
+class AssignBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `<div class="input-row">
+                    <input class="block-input assign-left" placeholder="x" style="width: 40%"/> =
+                    <input class="block-input assign-right" placeholder="a + 5" style="width: 55%"/>
+                </div>`;
+    }
+    canAccept() { return false; }
+    isMovableToSlot() { return true; }
+}
+// Блок создания строк
+class StrDeclBlock extends BaseBlock {
+    getInnerTemplate() {
+        return '<input class="block-input" placeholder="str1, str2" title="Через запятую" />';
+    }
+    canAccept() { return false; }
+    isMovableToSlot() { return true; }
+}
+// Блок присваивания строк
+class AssignStrBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `<div class="input-row">
+                    <input class="block-input assign-left" placeholder="str1" style="width: 40%"/> =
+                    <input class="block-input assign-right" placeholder="'string' or str2" style="width: 55%"/>
+                </div>`;
+    }
+    canAccept() { return false; }
+    isMovableToSlot() { return true; }
+}
+// Блок ветвления "Если"
+class IfBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `Условие: <input class="block-input" placeholder="x > 5" />
+                <div class="block-slot" data-label="Тогда"></div>`;
+    }
+    canAccept(childCategory, childShape, childNeedsLoop) {
+        return this.acceptsLoopControl(childNeedsLoop);
+    }
+    isMovableToSlot() { return true; }
+}
+// Блок ветвления "Если-Иначе"
+class IfElseBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `Условие: <input class="block-input" placeholder="x == y" />
+                <div class="block-slot slot-true" data-label="Тогда"></div>
+                <div class="block-slot slot-false" data-label="Иначе"></div>`;
+    }
+    canAccept(childCategory, childShape, childNeedsLoop) {
+        return this.acceptsLoopControl(childNeedsLoop);
+    }
+    isMovableToSlot() { return true; }
+}
+// Блок цикла "Пока"
+class WhileBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `Условие: <input class="block-input" placeholder="i < 10" />
+                <div class="block-slot" data-label="Повторять"></div>`;
+    }
+    canAccept(childCategory, childShape, childNeedsLoop) {
+        return this.acceptsLoopControl(childNeedsLoop);
+    }
+    isMovableToSlot() { return true; }
+    isLoop() { return true; }
+}
+// Блок цикла "Для": инициализация; условие; шаг
+class ForBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `<div class="input-row">
+                    <input class="block-input" placeholder="int i = 0" style="width: 34%" title="Инициализация"/>;
+                    <input class="block-input" placeholder="i < 10" style="width: 30%" title="Условие"/>;
+                    <input class="block-input" placeholder="i++" style="width: 28%" title="Шаг"/>
+                </div>
+                <div class="block-slot" data-label="Повторять"></div>`;
+    }
+    canAccept(childCategory, childShape, childNeedsLoop) {
+        return this.acceptsLoopControl(childNeedsLoop);
+    }
+    isMovableToSlot() { return true; }
+    isLoop() { return true; }
+}
+// Досрочный выход из ближайшего цикла
+class BreakBlock extends BaseBlock {
+    getInnerTemplate() { return ''; }
+    canAccept() { return false; }
+    isMovableToSlot() { return true; }
+    needsEnclosingLoop() { return true; }
+}
+// Переход к следующей итерации ближайшего цикла
+class ContinueBlock extends BaseBlock {
+    getInnerTemplate() { return ''; }
+    canAccept() { return false; }
+    isMovableToSlot() { return true; }
+    needsEnclosingLoop() { return true; }
+}
+// Объявление функции: имя, параметры и тело (кладётся прямо на рабочую область)
+class FunctionBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `<div class="input-row">
+                    <input class="block-input func-name" placeholder="sum" style="width: 40%" title="Имя функции"/>(
+                    <input class="block-input func-params" placeholder="a, b" style="width: 50%" title="Параметры через запятую"/>)
+                </div>
+                <div class="block-slot" data-label="Тело функции"></div>`;
+    }
+    canAccept(childCategory, childShape, childNeedsLoop) {
+        return this.acceptsLoopControl(childNeedsLoop);
+    }
+    isMovableToSlot() { return false; }
+}
+// Возврат значения из функции
+class ReturnBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `<input class="block-input" placeholder="a + b" title="Можно оставить пустым" />`;
+    }
+    canAccept() { return false; }
+    isMovableToSlot() { return true; }
+}
+// Вызов функции как отдельная команда: f(a, b)
+class CallBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `<input class="block-input" placeholder="f(a, b)" />`;
+    }
+    canAccept() { return false; }
+    isMovableToSlot() { return true; }
+}
+// Блок вывода в консоль
+class PrintBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `<input class="block-input" placeholder="x, y, z," />`;
+    }
+    canAccept() { return false; }
+    isMovableToSlot() { return true; }
+}
+// Блок ввода значений с клавиатуры
+class InputBlock extends BaseBlock {
+    getInnerTemplate() {
+        return `<input class="block-input" placeholder="x, arr[i]" title="Через запятую" />`;
+    }
+    canAccept() { return false; }
+    isMovableToSlot() { return true; }
+}
+// Главный класс управления рабочим полем
+class Workspace {
+    constructor() {
+        this.element = Utils.$('#workspace');
+        this.activeBlock = null;
+        this.offset = { x: 0, y: 0 };
+        // Вызывается после любого изменения программы (нужно для автосохранения)
+        this.onChange = null;
+        // Отмена и повтор изменений
+        this.history = new EditHistory(this);
+        // Выделенные блоки (копирование, вставка, удаление и перетаскивание группой)
+        this.selection = new BlockSelection(this);
+        // Работа с блоками с клавиатуры и фокус
+        this.keyboard = new BlockKeyboard(this);
+        // Вид поля и провода режима узлов
+        this.view = 'blocks';
+        this.graph = new NodeGraph(this);
+        // Блоки-выражения в полях условий и значений
+        this.expressions = new ExpressionEditor(this);
+        // Сдвиг, масштаб и миникарта
+        this.viewport = new Viewport(this);
+        // Остальные выделенные блоки, которые тащатся вместе с activeBlock, и их сдвиг от него
+        this.group = [];
+        // Лимиты выполнения этой программы (сохраняются вместе с проектом)
+        this.limits = { ...CONFIG.LIMITS };
+        // Вспомогательные функции для слушателей
+        this.onMove = (e) => this.dragging(e);
+        this.onUp = () => this.dragEnd();
+    }
+    // Запуск области
+    init() {
+        if (!this.element)
+            return;
+        this.checkEmpty();
+        this.selection.init();
+        this.keyboard.init();
+        this.graph.init();
+        this.expressions.init();
+        this.viewport.init();
+        // Набор текста в одном поле история считает одним шагом
+        this.element.addEventListener('input', (e) => this.notifyChange(e.target));
+        window.addEventListener('resize', () => this.viewport.drawMinimap());
+    }
+    // Записываем шаг истории и сообщаем подписчику, что программа изменилась
+    notifyChange(mergeKey = null) {
+        this.graph.redraw();
+        this.viewport.drawMinimap();
+        this.history.record(mergeKey);
+        this.onChange?.();
+    }
+    // Дерево программы для интерпретатора и соответствие id узла -> блок для подсветки;
+    // problems — ошибки самих проводов в режиме узлов
+    buildProgram() {
+        if (this.view === 'nodes')
+            return this.graph.build();
+        const builder = new ProgramBuilder();
+        const blocks = new Map();
+        const top = this.getTopBlocks()
+            .filter(block => BLOCK_SPECS[block.data.name])
+            .map(block => block.toNode(builder, blocks));
+        return { program: ProgramBuilder.assemble(top), blocks, problems: [] };
+    }
+    // Переключаем вид; из узлов в блоки — только если провода складываются в дерево
+    setView(view) {
+        if (view === this.view || Debugger.state !== 'idle')
+            return;
+        if (view === 'blocks') {
+            const problem = this.graph.nest();
+            if (problem) {
+                Interpreter.print(problem, "error");
+                return;
+            }
+            this.applyView(view);
+        }
+        else {
+            this.applyView(view);
+            this.graph.flatten(this.getTopBlocks());
+        }
+        this.settle();
+    }
+    // Класс поля и состояние кнопки вида
+    applyView(view) {
+        this.view = view;
+        this.element?.classList.toggle('node-view', view === 'nodes');
+        const toggle = Utils.$('#view-toggle');
+        toggle?.classList.toggle('active', view === 'nodes');
+        toggle?.setAttribute('aria-pressed', String(view === 'nodes'));
+    }
+    // Блоки, лежащие прямо на рабочей области (не во вложенных слотах)
+    getTopBlocks() {
+        if (!this.element)
+            return [];
+        return Array.from(this.element.querySelectorAll(':scope > .workspace-item'))
+            .map(el => el.blockInstance)
+            .filter(b => b);
+    }
+    // Убираем подсветку ошибок и предупреждений со всех блоков
+    clearErrors() {
+        Utils.$$('.error-highlight, .warning-highlight').forEach(el => {
+            el.classList.remove('error-highlight', 'warning-highlight');
+            el.removeAttribute('title');
+        });
+    }
+    // Фабрика создания блоков по именам из меню
     createBlock(data) {
         switch (data.name) {
             case 'Начало': return new RootBlock(data, this);
-            case 'Переменная': return new VarDeclBlock(data, this);
+            case 'Переменная':
+            case 'Вещественные':
+            case 'Логические':
+            case 'Символы': return new VarDeclBlock(data, this);
             case 'Массив': return new ArrayDeclBlock(data, this);
             case 'Присвоить': return new AssignBlock(data, this);
             case 'Строки': return new StrDeclBlock(data, this);
@@ -723,206 +4300,1669 @@ class Workspace {
             case 'Если': return new IfBlock(data, this);
             case 'Если-Иначе': return new IfElseBlock(data, this);
             case 'Пока': return new WhileBlock(data, this);
+            case 'Для': return new ForBlock(data, this);
+            case 'Прервать': return new BreakBlock(data, this);
+            case 'Продолжить': return new ContinueBlock(data, this);
             case 'Вывести': return new PrintBlock(data, this);
+            case 'Ввести': return new InputBlock(data, this);
+            case 'Функция': return new FunctionBlock(data, this);
+            case 'Вернуть': return new ReturnBlock(data, this);
+            case 'Вызвать': return new CallBlock(data, this);
             default: throw new Error(`Неизвестный тип блока: ${data.name}`);
         }
     }
-    // Логика начала перетаскивания (mousedown)
-    dragStart(e, block) {
-        if (e.target.closest('.remove-item') || e.target.tagName === 'INPUT')
+    // Логика начала перетаскивания (pointerdown)
+    dragStart(e, block) {
+        if (e.button !== 0 || e.target.closest('.remove-item, .breakpoint-toggle, .node-port, .expr-root, .expr-toggle') || BaseBlock.isField(e.target))
+            return;
+        e.preventDefault();
+        e.stopPropagation();
+        // Shift+клик только меняет выделение
+        if (e.shiftKey) {
+            this.selection.toggle(block);
+            return;
+        }
+        if (!this.selection.has(block))
+            this.selection.set([block]);
+        const item = block.element;
+        this.detachToTop(block);
+        const rect = item.getBoundingClientRect();
+        this.activeBlock = block;
+        this.keyboard.focus(block);
+        // Остальное выделение едет следом, сохраняя взаимное расположение
+        const left = parseFloat(item.style.left);
+        const top = parseFloat(item.style.top);
+        this.group = this.selection.roots()
+            .filter(other => other !== block && !other.element.contains(item))
+            .map(other => {
+            this.detachToTop(other);
+            other.element.classList.add('dragging');
+            other.element.style.zIndex = "1000";
+            return { block: other, dx: parseFloat(other.element.style.left) - left, dy: parseFloat(other.element.style.top) - top };
+        });
+        let offsetX = e.clientX - rect.left;
+        if (offsetX > rect.width)
+            offsetX = rect.width / 2;
+        this.offset = { x: offsetX, y: e.clientY - rect.top };
+        item.classList.add('dragging');
+        item.style.zIndex = "1000";
+        document.addEventListener('pointermove', this.onMove);
+        document.addEventListener('pointerup', this.onUp);
+        document.addEventListener('pointercancel', this.onUp);
+    }
+    // Блок из слота переносим прямо на поле, не сдвигая его на экране
+    detachToTop(block) {
+        const item = block.element;
+        if (!item.parentElement?.classList.contains('block-slot'))
+            return;
+        const pos = this.positionOf(block);
+        this.element.appendChild(item);
+        item.style.position = 'absolute';
+        item.style.width = '';
+        item.style.left = `${pos.left}px`;
+        item.style.top = `${pos.top}px`;
+    }
+    // Положение блока в координатах поля (для блока в слоте — там, где он виден)
+    positionOf(block) {
+        if (block.element.parentElement === this.element) {
+            return { left: parseFloat(block.element.style.left) || 0, top: parseFloat(block.element.style.top) || 0 };
+        }
+        const rect = block.element.getBoundingClientRect();
+        const point = this.viewport.toWorld(rect.left, rect.top);
+        return { left: point.x, top: point.y };
+    }
+    // Процесс перемещения (pointermove)
+    dragging(e) {
+        if (!this.activeBlock || !this.element)
+            return;
+        // Поле не ограничено краями: координаты могут быть и отрицательными
+        const { x, y } = this.viewport.toWorld(e.clientX - this.offset.x, e.clientY - this.offset.y);
+        this.activeBlock.element.style.left = `${x}px`;
+        this.activeBlock.element.style.top = `${y}px`;
+        this.group.forEach(({ block, dx, dy }) => {
+            block.element.style.left = `${x + dx}px`;
+            block.element.style.top = `${y + dy}px`;
+        });
+        this.graph.redraw();
+        this.viewport.drawMinimap();
+        this.highlightSlot(this.activeBlock, e.clientX, e.clientY);
+    }
+    // Подсвечиваем слот, в который ляжет блок, если отпустить его в этой точке
+    highlightSlot(block, x, y) {
+        this.clearHighlights();
+        this.findValidSlot(block, x, y)?.classList.add('drag-over');
+    }
+    // Конец перетаскивания (pointerup или отмена жеста)
+    dragEnd() {
+        if (!this.activeBlock)
+            return;
+        document.removeEventListener('pointermove', this.onMove);
+        document.removeEventListener('pointerup', this.onUp);
+        document.removeEventListener('pointercancel', this.onUp);
+        // Точка у верхнего края блока на экране — с учётом масштаба
+        const rect = this.activeBlock.element.getBoundingClientRect();
+        const probe = rect.top + 10 * this.viewport.zoom;
+        const slot = this.findValidSlot(this.activeBlock, rect.left + rect.width / 2, probe);
+        if (slot) {
+            this.putInSlot(this.activeBlock, slot, this.getInsertAfter(slot, probe));
+            // Выделение ложится в слот следом за блоком, если слот его принимает
+            const parent = slot.closest('.workspace-item')?.blockInstance;
+            let last = this.activeBlock.element;
+            this.group.forEach(({ block }) => {
+                if (!parent || !block.isMovableToSlot()
+                    || !parent.canAccept(block.data.category, block.data.shape, block.needsEnclosingLoop()))
+                    return;
+                this.putInSlot(block, slot, last.nextElementSibling);
+                last = block.element;
+            });
+        }
+        else {
+            this.activeBlock.element.style.width = '';
+        }
+        this.activeBlock.element.style.zIndex = "10";
+        this.activeBlock.element.classList.remove('dragging');
+        this.keyboard.focus(this.activeBlock);
+        this.group.forEach(({ block }) => {
+            block.element.style.zIndex = "10";
+            block.element.classList.remove('dragging');
+        });
+        this.group = [];
+        this.activeBlock = null;
+        this.clearHighlights();
+        this.settle();
+    }
+    // Кладём блок в слот перед указанным соседом (null — в конец); позиционирование становится относительным
+    putInSlot(block, slot, before) {
+        slot.insertBefore(block.element, before);
+        Object.assign(block.element.style, { position: 'relative', left: '0', top: '0', width: '100%' });
+    }
+    // После перестановки блоков: связи next/previous и шаг истории
+    settle() {
+        this.syncLinkedLists();
+        this.notifyChange();
+    }
+    // Проходим по всем контейнерам и заново выстраиваем связи next/previous
+    syncLinkedLists() {
+        const containers = [this.element, ...Array.from(document.querySelectorAll('.block-slot'))];
+        containers.forEach(container => {
+            if (!container)
+                return;
+            const childBlocks = Array.from(container.querySelectorAll(':scope > .workspace-item:not(.dragging)'))
+                .map(el => el.blockInstance)
+                .filter(b => b);
+            for (let i = 0; i < childBlocks.length; i++) {
+                const block = childBlocks[i];
+                block.previous = null;
+                block.next = null;
+                if (i > 0)
+                    childBlocks[i - 1].insertAfter(block);
+            }
+        });
+        this.graph.prune();
+        this.keyboard.updateTabStop();
+    }
+    // Ищет подходящий для блока слот под указателем
+    findValidSlot(block, x, y) {
+        if (!block.isMovableToSlot())
+            return null;
+        const needsLoop = block.needsEnclosingLoop();
+        const targets = document.elementsFromPoint(x, y);
+        for (const el of targets) {
+            const htmlEl = el;
+            if (htmlEl.classList.contains('block-slot')) {
+                const parentInstance = htmlEl.closest('.workspace-item')?.blockInstance;
+                if (parentInstance && parentInstance.canAccept(block.data.category, block.data.shape, needsLoop)) {
+                    if (block.element.contains(htmlEl))
+                        continue;
+                    return htmlEl;
+                }
+            }
+        }
+        return null;
+    }
+    // Находится ли точка экрана над видимой частью поля
+    isOver(x, y) {
+        if (!this.viewport.element)
+            return false;
+        const rect = this.viewport.element.getBoundingClientRect();
+        return x >= rect.left && x <= rect.right && y >= rect.top && y <= rect.bottom;
+    }
+    // Новый блок из меню отпустили над полем: кладём его в слот под указателем или прямо на поле
+    dropNew(block, x, y) {
+        this.element.appendChild(block.element);
+        const point = this.viewport.toWorld(x, y);
+        const left = point.x - block.element.offsetWidth / 2;
+        const top = point.y - block.element.offsetHeight / 2;
+        Object.assign(block.element.style, { position: 'absolute', zIndex: "10", transform: '', left: `${left}px`, top: `${top}px` });
+        const slot = this.findValidSlot(block, x, y);
+        if (slot)
+            this.putInSlot(block, slot, this.getInsertAfter(slot, y));
+        this.clearHighlights();
+        Utils.$('.workspace-placeholder')?.remove();
+        this.settle();
+        this.keyboard.focus(block);
+    }
+    // Вставка из меню с клавиатуры: в слот текущего блока, следом за ним или на поле под ним
+    insertNew(data) {
+        const block = this.createBlock(data);
+        const anchor = this.keyboard.currentBlock();
+        const place = anchor ? this.insertPlace(anchor, block) : null;
+        if (place) {
+            this.putInSlot(block, place.slot, place.before);
+        }
+        else {
+            const root = anchor ? this.rootOf(anchor) : null;
+            const visible = this.viewport.visibleRect();
+            const pos = root
+                ? { left: parseFloat(root.element.style.left) || 0, top: (parseFloat(root.element.style.top) || 0) + root.element.offsetHeight + Workspace.KEYBOARD_GAP }
+                : { left: visible.x + CONFIG.DEFAULT_POS.left, top: visible.y + CONFIG.DEFAULT_POS.top };
+            this.element.appendChild(block.element);
+            block.element.style.left = `${pos.left}px`;
+            block.element.style.top = `${pos.top}px`;
+            // В режиме узлов новый блок сразу встаёт в цепочку за текущим
+            if (anchor && this.view === 'nodes')
+                this.graph.chainAfter(anchor, block);
+        }
+        Utils.$('.workspace-placeholder')?.remove();
+        this.settle();
+        this.keyboard.focus(block);
+        return block;
+    }
+    // Куда вставить новый блок рядом с текущим: сначала в слот самого блока, потом следом за ним
+    insertPlace(anchor, block) {
+        if (!block.isMovableToSlot() || this.view === 'nodes')
+            return null;
+        const fits = (parent) => !!parent && parent.canAccept(block.data.category, block.data.shape, block.needsEnclosingLoop());
+        const own = anchor.getSlots()[0];
+        if (own && fits(anchor))
+            return { slot: own, before: null };
+        const slot = anchor.element.parentElement;
+        if (slot?.classList.contains('block-slot') && fits(anchor.getParentBlock()))
+            return { slot, before: anchor.element.nextElementSibling };
+        return null;
+    }
+    // Блок верхнего уровня, внутри которого лежит блок
+    rootOf(block) {
+        let root = block;
+        for (let parent = block.getParentBlock(); parent; parent = parent.getParentBlock())
+            root = parent;
+        return root;
+    }
+    // Все места в слотах, куда можно поставить блок, в порядке программы сверху вниз
+    placesFor(block) {
+        const places = [];
+        if (!block.isMovableToSlot() || !this.element)
+            return places;
+        const needsLoop = block.needsEnclosingLoop();
+        const walk = (owner) => owner.getSlots().forEach(slot => {
+            const fits = owner.canAccept(block.data.category, block.data.shape, needsLoop);
+            Utils.blocksIn(slot).filter(child => child !== block).forEach(child => {
+                if (fits)
+                    places.push({ slot, before: child.element });
+                walk(child);
+            });
+            if (fits)
+                places.push({ slot, before: null });
+        });
+        this.getTopBlocks().filter(top => top !== block).forEach(walk);
+        return places;
+    }
+    // Alt+↑/↓: переносим блок на соседнее место в слотах; false — дальше двигать некуда
+    moveBlock(block, step) {
+        if (this.view === 'nodes')
+            return false;
+        const places = this.placesFor(block);
+        const slot = block.element.parentElement;
+        let index;
+        if (slot === this.element) {
+            // С поля — на ближайшее место ниже или выше блока
+            const below = places.findIndex(p => block.element.compareDocumentPosition(p.before ?? p.slot) & Node.DOCUMENT_POSITION_FOLLOWING);
+            index = step > 0 ? below : (below === -1 ? places.length : below) - 1;
+        }
+        else {
+            const next = block.element.nextElementSibling;
+            const current = places.findIndex(p => p.slot === slot && p.before === next);
+            if (current === -1)
+                return false;
+            index = current + step;
+        }
+        const place = places[index];
+        if (!place)
+            return false;
+        this.putInSlot(block, place.slot, place.before);
+        this.settle();
+        return true;
+    }
+    // Alt+←: блок из слота выносим на поле, правее блока верхнего уровня, в котором он лежал
+    moveOut(block) {
+        if (this.view === 'nodes' || !block.element.parentElement?.classList.contains('block-slot'))
+            return false;
+        const root = this.rootOf(block);
+        const top = this.positionOf(block).top;
+        this.detachToTop(block);
+        block.element.style.left = `${(parseFloat(root.element.style.left) || 0) + root.element.offsetWidth + Workspace.KEYBOARD_GAP}px`;
+        block.element.style.top = `${top}px`;
+        this.settle();
+        return true;
+    }
+    // Поиск соседа внутри слота, чтобы вставить блок между другими
+    getInsertAfter(slot, y) {
+        const elements = [...slot.querySelectorAll(':scope > .workspace-item:not(.dragging)')];
+        return elements.reduce((closest, child) => {
+            const box = child.getBoundingClientRect();
+            const offset = y - (box.top + box.height / 2);
+            return offset < 0 && offset > closest.offset ? { offset, element: child } : closest;
+        }, { offset: Number.NEGATIVE_INFINITY, element: null }).element;
+    }
+    // Сброс подсветки у всех слотов
+    clearHighlights() { Utils.$$('.block-slot').forEach(s => s.classList.remove('drag-over')); }
+    // Если поле пустое — показываем надпись
+    checkEmpty() {
+        if (Utils.$$('.workspace-item').length === 0 && !Utils.$('.workspace-placeholder')) {
+            this.element?.insertAdjacentHTML('afterbegin', '<div class="workspace-placeholder">Перетащите сюда элементы из меню или нажмите Alt+N</div>');
+        }
+    }
+    // Полная очистка поля
+    clear() {
+        this.removeAllBlocks();
+        Interpreter.clear();
+        this.notifyChange();
+    }
+    // Удаляем несколько блоков за один шаг истории
+    removeBlocks(blocks) {
+        blocks.forEach(block => {
+            block.removeFromList();
+            block.element.remove();
+        });
+        this.syncLinkedLists();
+        this.checkEmpty();
+        this.notifyChange();
+    }
+    // Добавляем сохранённые блоки на поле со сдвигом; возвращаем созданные
+    addBlocks(saved, shift) {
+        if (!this.element)
+            return [];
+        // Сначала собираем все блоки: если фрагмент испорчен, на поле не останется его обломков
+        const created = saved.map(item => this.restoreBlock(item));
+        created.forEach((block, i) => {
+            const pos = saved[i].position || CONFIG.DEFAULT_POS;
+            this.element.appendChild(block.element);
+            block.element.style.left = `${pos.left + shift}px`;
+            block.element.style.top = `${pos.top + shift}px`;
+        });
+        if (this.view === 'nodes')
+            this.graph.flatten(created);
+        if (created.length > 0)
+            Utils.$('.workspace-placeholder')?.remove();
+        this.syncLinkedLists();
+        this.notifyChange();
+        return created;
+    }
+    // Убираем все блоки без уведомлений
+    removeAllBlocks() {
+        this.selection.clear();
+        Utils.$$('.workspace-item').forEach(el => el.remove());
+        this.syncLinkedLists();
+        this.checkEmpty();
+    }
+    // Заменяем содержимое поля блоками из файла проекта; лимиты меняем, только когда все блоки собрались
+    load(project) {
+        const created = project.blocks.map(saved => this.restoreBlock(saved));
+        this.limits = { ...CONFIG.LIMITS, ...project.limits };
+        this.placeBlocks(created, project.blocks, project.view);
+    }
+    // Заменяем содержимое поля сохранёнными блоками (файл проекта или шаг истории);
+    // блоки собираются до очистки поля, поэтому ошибка в них не стирает текущую программу
+    loadBlocks(blocks, view = this.view) {
+        this.placeBlocks(blocks.map(saved => this.restoreBlock(saved)), blocks, view);
+    }
+    // Собранные блоки вместо всего, что было на поле; вложенные блоки в режиме узлов раскладываются по проводам
+    placeBlocks(created, blocks, view) {
+        if (!this.element)
+            return;
+        this.removeAllBlocks();
+        this.applyView(view);
+        created.forEach((block, i) => {
+            const pos = blocks[i].position || CONFIG.DEFAULT_POS;
+            this.element.appendChild(block.element);
+            block.element.style.left = `${pos.left}px`;
+            block.element.style.top = `${pos.top}px`;
+        });
+        if (view === 'nodes') {
+            this.graph.flatten(created);
+            this.graph.restoreLinks(created, blocks);
+        }
+        if (blocks.length > 0)
+            Utils.$('.workspace-placeholder')?.remove();
+        this.syncLinkedLists();
+        this.notifyChange();
+    }
+    // Создаём блок через фабрику и рекурсивно наполняем его слоты
+    restoreBlock(saved) {
+        const block = this.createBlock(saved.data);
+        const inputs = block.getInputs();
+        inputs.forEach((input, i) => {
+            input.value = saved.inputs[i] ?? '';
+        });
+        Object.entries(saved.expressions ?? {}).forEach(([index, expr]) => {
+            block.expressionFields.find(field => field.input === inputs[Number(index)])?.load(expr);
+        });
+        if (saved.breakpoint)
+            block.toggleBreakpoint();
+        const slots = block.getSlots();
+        saved.slots.forEach((children, i) => {
+            const slot = slots[i];
+            if (!slot)
+                throw new Error(`У блока '${saved.data.name}' нет слота №${i + 1}`);
+            children.forEach(child => {
+                const childBlock = this.restoreBlock(child);
+                Object.assign(childBlock.element.style, { position: 'relative', left: '0', top: '0', width: '100%' });
+                slot.appendChild(childBlock.element);
+            });
+        });
+        return block;
+    }
+    // Авторасстановка: в режиме узлов — по проводам, иначе стопки верхнего уровня рядами
+    // в порядке чтения (сверху вниз, слева направо) шириной в видимую часть поля; потом всё вписываем в окно
+    arrange() {
+        if (!this.element || Debugger.state !== 'idle')
+            return;
+        if (this.view === 'nodes') {
+            this.graph.arrange();
+        }
+        else {
+            const gap = Workspace.ARRANGE_GAP;
+            const blocks = this.getTopBlocks().sort((a, b) => (parseFloat(a.element.style.top) || 0) - (parseFloat(b.element.style.top) || 0)
+                || (parseFloat(a.element.style.left) || 0) - (parseFloat(b.element.style.left) || 0));
+            const width = Math.max(this.viewport.visibleRect().width - 2 * gap, ...blocks.map(block => block.element.offsetWidth));
+            let x = 0;
+            let y = 0;
+            let row = 0;
+            blocks.forEach(block => {
+                const { offsetWidth, offsetHeight } = block.element;
+                if (x > 0 && x + offsetWidth > width) {
+                    x = 0;
+                    y += row + gap;
+                    row = 0;
+                }
+                block.element.style.left = `${gap + x}px`;
+                block.element.style.top = `${gap + y}px`;
+                x += offsetWidth + gap;
+                row = Math.max(row, offsetHeight);
+            });
+        }
+        this.settle();
+        this.viewport.fit();
+    }
+}
+// Отступ между блоками, которые расставляются с клавиатуры
+Workspace.KEYBOARD_GAP = 24;
+// Зазор между стопками при авторасстановке
+Workspace.ARRANGE_GAP = 32;
+// Выделение блоков: Shift+клик и Shift+рамка по пустому месту; копирование, вставка, дублирование и удаление сразу всех
+class BlockSelection {
+    constructor(workspace) {
+        this.blocks = new Set();
+        // Последний скопированный фрагмент и сколько раз его уже вставили (каждая копия сдвигается дальше)
+        this.copied = null;
+        this.pasteCount = 0;
+        this.band = null;
+        this.bandStart = { x: 0, y: 0 };
+        this.workspace = workspace;
+    }
+    // Рамка выделения, клавиши и события буфера обмена
+    init() {
+        // Пустое место без Shift сдвигает поле (Viewport), с Shift — рамка выделения мышью или пером
+        this.workspace.viewport.element?.addEventListener('pointerdown', (e) => {
+            if (e.button !== 0 || !e.shiftKey || e.pointerType === 'touch')
+                return;
+            if (this.workspace.viewport.isBackground(e.target))
+                this.startBand(e);
+        });
+        document.addEventListener('keydown', (e) => {
+            if (BlockSelection.isTyping(e.target))
+                return;
+            if (e.key === 'Delete' || e.key === 'Backspace') {
+                if (this.blocks.size === 0)
+                    return;
+                e.preventDefault();
+                this.deleteSelected();
+            }
+            else if (e.key === 'Escape') {
+                this.clear();
+            }
+            else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'd') {
+                e.preventDefault();
+                this.duplicate();
+            }
+        });
+        // Через системный буфер обмена фрагмент попадает и в другую вкладку
+        document.addEventListener('copy', (e) => this.onCopy(e, false));
+        document.addEventListener('cut', (e) => this.onCopy(e, true));
+        document.addEventListener('paste', (e) => {
+            if (BlockSelection.isTyping(e.target))
+                return;
+            const text = e.clipboardData?.getData('text/plain') || this.copied;
+            if (text && this.paste(text))
+                e.preventDefault();
+        });
+    }
+    // Фокус в текстовом поле — клавиши и буфер обмена работают как обычно
+    static isTyping(target) {
+        return target instanceof Element && !!target.closest('input, textarea, select');
+    }
+    has(block) {
+        return this.blocks.has(block);
+    }
+    // Выделить ровно эти блоки
+    set(blocks) {
+        this.clear();
+        blocks.forEach(block => this.add(block));
+    }
+    add(block) {
+        this.blocks.add(block);
+        block.element.classList.add('selected-block');
+        block.element.setAttribute('aria-selected', 'true');
+    }
+    // Shift+клик или пробел: добавить или убрать блок
+    toggle(block) {
+        if (this.blocks.delete(block))
+            BlockSelection.unmark(block);
+        else
+            this.add(block);
+    }
+    clear() {
+        this.blocks.forEach(block => BlockSelection.unmark(block));
+        this.blocks.clear();
+    }
+    static unmark(block) {
+        block.element.classList.remove('selected-block');
+        block.element.removeAttribute('aria-selected');
+    }
+    // Выделенные блоки без тех, что и так лежат внутри выделенного родителя, — в порядке на поле
+    roots() {
+        const alive = [...this.blocks].filter(block => block.element.isConnected);
+        return alive
+            .filter(block => !alive.some(other => other !== block && other.element.contains(block.element)))
+            .sort((a, b) => a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING ? -1 : 1);
+    }
+    // Удаляем всё выделенное одним шагом истории
+    deleteSelected() {
+        const roots = this.roots();
+        this.clear();
+        if (roots.length > 0)
+            this.workspace.removeBlocks(roots);
+    }
+    // Выделение как фрагмент проекта (JSON); блоки из слотов получают свои позиции на поле
+    serialize() {
+        const roots = this.roots();
+        if (roots.length === 0)
+            return null;
+        return JSON.stringify({
+            format: BlockSelection.FRAGMENT_FORMAT,
+            version: ProjectSerializer.VERSION,
+            blocks: roots.map(block => ({
+                ...ProjectSerializer.serializeBlock(block),
+                position: this.workspace.positionOf(block)
+            }))
+        });
+    }
+    onCopy(e, cut) {
+        if (BlockSelection.isTyping(e.target))
+            return;
+        const text = this.serialize();
+        if (!text)
+            return;
+        e.clipboardData?.setData('text/plain', text);
+        e.preventDefault();
+        this.copied = text;
+        this.pasteCount = 0;
+        if (cut)
+            this.deleteSelected();
+    }
+    // Вставка фрагмента; false — в тексте не наш фрагмент
+    paste(text) {
+        try {
+            const blocks = ProjectSerializer.parseFragment(text);
+            if (!blocks)
+                return false;
+            if (text === this.copied)
+                this.pasteCount++;
+            else
+                this.pasteCount = 1;
+            this.set(this.workspace.addBlocks(blocks, BlockSelection.PASTE_SHIFT * this.pasteCount));
+        }
+        catch (error) {
+            Interpreter.print(`Не удалось вставить блоки: ${error.message}`, "error");
+        }
+        return true;
+    }
+    // Ctrl+D: копия выделения рядом с оригиналом, буфер обмена не трогаем
+    duplicate() {
+        const text = this.serialize();
+        if (!text)
+            return;
+        this.set(this.workspace.addBlocks(ProjectSerializer.parseFragment(text), BlockSelection.PASTE_SHIFT));
+    }
+    // Рамка: Shift и тянем от пустого места, к выделению добавляются блоки, целиком попавшие внутрь
+    startBand(e) {
+        const area = this.workspace.element;
+        e.preventDefault();
+        this.bandStart = this.workspace.viewport.toWorld(e.clientX, e.clientY);
+        this.band = document.createElement('div');
+        this.band.className = 'selection-band';
+        area.appendChild(this.band);
+        this.resizeBand(e);
+        const onMove = (ev) => this.resizeBand(ev);
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+            this.finishBand();
+        };
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+    }
+    resizeBand(e) {
+        if (!this.band)
+            return;
+        const { x, y } = this.workspace.viewport.toWorld(e.clientX, e.clientY);
+        Object.assign(this.band.style, {
+            left: `${Math.min(x, this.bandStart.x)}px`,
+            top: `${Math.min(y, this.bandStart.y)}px`,
+            width: `${Math.abs(x - this.bandStart.x)}px`,
+            height: `${Math.abs(y - this.bandStart.y)}px`
+        });
+    }
+    finishBand() {
+        if (!this.band)
+            return;
+        const band = this.band.getBoundingClientRect();
+        this.band.remove();
+        this.band = null;
+        if (band.width === 0 && band.height === 0)
+            return;
+        Utils.$$('.workspace-item').forEach(el => {
+            const r = el.getBoundingClientRect();
+            const inside = r.left >= band.left && r.right <= band.right && r.top >= band.top && r.bottom <= band.bottom;
+            const block = el.blockInstance;
+            if (inside && block)
+                this.add(block);
+        });
+    }
+}
+BlockSelection.FRAGMENT_FORMAT = 'block_code-fragment';
+// Сдвиг вставленной копии относительно оригинала
+BlockSelection.PASTE_SHIFT = 24;
+// Клавиатурный режим: стрелки — переход по блокам, Alt+стрелки — перенос между слотами, Delete — удаление
+class BlockKeyboard {
+    constructor(workspace) {
+        // Блок, на который попадает Tab (у остальных tabindex = -1)
+        this.current = null;
+        this.status = Utils.$('#a11y-status');
+        this.workspace = workspace;
+    }
+    // Поле — дерево программы для экранного диктора, клавиши ловим на нём
+    init() {
+        const area = this.workspace.element;
+        if (!area)
+            return;
+        area.setAttribute('role', 'tree');
+        area.setAttribute('aria-multiselectable', 'true');
+        area.addEventListener('focusin', (e) => {
+            const block = BlockKeyboard.blockOf(e.target);
+            if (!block)
+                return;
+            this.current = block;
+            this.updateTabStop();
+            block.element.setAttribute('aria-label', block.describe());
+        });
+        area.addEventListener('keydown', (e) => this.onKey(e));
+    }
+    // Блок, которому принадлежит элемент (сам блок или поле внутри него)
+    static blockOf(target) {
+        const el = target instanceof Element ? target.closest('.workspace-item') : null;
+        return el ? el.blockInstance : null;
+    }
+    currentBlock() {
+        return this.current?.element.isConnected ? this.current : null;
+    }
+    // Ровно один блок доступен по Tab: текущий, а если его уже нет — первый на поле
+    updateTabStop() {
+        const items = Array.from(this.workspace.element?.querySelectorAll('.workspace-item') ?? []);
+        if (!this.currentBlock())
+            this.current = items.length > 0 ? items[0].blockInstance : null;
+        items.forEach(el => el.tabIndex = el === this.current?.element ? 0 : -1);
+    }
+    focus(block) {
+        this.current = block;
+        this.updateTabStop();
+        block.element.focus({ preventScroll: true });
+    }
+    // Возвращаем фокус на поле (например, после меню блоков)
+    focusCurrent() {
+        const block = this.currentBlock();
+        if (block)
+            this.focus(block);
+    }
+    onKey(e) {
+        const block = BlockKeyboard.blockOf(e.target);
+        if (!block)
+            return;
+        // Escape в поле блока возвращает фокус на сам блок
+        if (e.target !== block.element) {
+            if (e.key === 'Escape' && BaseBlock.isField(e.target)) {
+                e.stopPropagation();
+                this.focus(block);
+            }
+            return;
+        }
+        if (e.altKey) {
+            if (e.key === 'ArrowUp' || e.key === 'ArrowDown')
+                this.move(block, () => this.workspace.moveBlock(block, e.key === 'ArrowUp' ? -1 : 1));
+            else if (e.key === 'ArrowLeft')
+                this.move(block, () => this.workspace.moveOut(block));
+            else
+                return;
+        }
+        else if (e.key === 'ArrowUp' || e.key === 'ArrowDown') {
+            this.step(block, e.key === 'ArrowUp' ? -1 : 1, e.shiftKey);
+        }
+        else if (e.key === 'ArrowLeft') {
+            const parent = block.getParentBlock();
+            if (parent)
+                this.select(parent, false);
+        }
+        else if (e.key === 'ArrowRight') {
+            const child = block.getSlots().flatMap(slot => Utils.blocksIn(slot))[0];
+            if (child)
+                this.select(child, false);
+        }
+        else if (e.key === 'Home' || e.key === 'End') {
+            const items = this.items();
+            this.select(e.key === 'Home' ? items[0] : items[items.length - 1], false);
+        }
+        else if (e.key === 'Enter') {
+            block.focusField();
+        }
+        else if (e.key === ' ') {
+            this.workspace.selection.toggle(block);
+        }
+        else if (e.key === 'Delete' || e.key === 'Backspace') {
+            this.remove(block);
+        }
+        else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+    // Все блоки поля в порядке разметки
+    items() {
+        return Array.from(this.workspace.element?.querySelectorAll('.workspace-item') ?? [])
+            .map(el => el.blockInstance)
+            .filter(b => b);
+    }
+    // ↑/↓: соседний блок; с Shift — добавляем его к выделению
+    step(block, delta, extend) {
+        const items = this.items();
+        const target = items[items.indexOf(block) + delta];
+        if (target)
+            this.select(target, extend);
+    }
+    select(block, extend) {
+        if (extend)
+            this.workspace.selection.add(block);
+        else
+            this.workspace.selection.set([block]);
+        this.focus(block);
+        this.workspace.viewport.reveal(block.element);
+    }
+    // Переносим блок и сообщаем диктору, куда он попал
+    move(block, action) {
+        if (!action()) {
+            this.announce(`Блок «${block.data.name}» дальше не двигается`);
+            return;
+        }
+        this.focus(block);
+        this.workspace.viewport.reveal(block.element);
+        const parent = block.getParentBlock();
+        const slot = block.element.parentElement?.dataset.label;
+        this.announce(parent
+            ? `Блок «${block.data.name}» в слоте «${slot}» блока «${parent.data.name}»`
+            : `Блок «${block.data.name}» на поле`);
+    }
+    // Delete: удаляем выделение (или только этот блок), фокус переходит на соседний блок
+    remove(block) {
+        if (!this.workspace.selection.has(block))
+            this.workspace.selection.set([block]);
+        const doomed = this.workspace.selection.roots();
+        const items = this.items();
+        const gone = (b) => doomed.some(d => d.element.contains(b.element));
+        const index = items.indexOf(block);
+        const neighbour = items.slice(index + 1).find(b => !gone(b)) ?? items.slice(0, index).reverse().find(b => !gone(b));
+        this.workspace.selection.deleteSelected();
+        this.announce(`Удалено блоков: ${doomed.length}`);
+        if (neighbour)
+            this.select(neighbour, false);
+    }
+    // Сообщение для экранного диктора (живая область)
+    announce(text) {
+        if (this.status)
+            this.status.textContent = text;
+    }
+}
+// Режим узлов: все блоки лежат на поле, порядок выполнения задают провода от выходов ко входам.
+// Из проводов собирается то же дерево программы, что и из вложенных слотов
+class NodeGraph {
+    constructor(workspace) {
+        this.wires = [];
+        this.layer = null;
+        this.workspace = workspace;
+    }
+    static slotPort(index) {
+        return `slot-${index}`;
+    }
+    // В «Начало» и «Функцию» провод не входит — с них начинаются цепочки
+    static hasInput(name) {
+        const kind = BLOCK_SPECS[name]?.kind;
+        return kind !== undefined && kind !== 'root' && kind !== 'function';
+    }
+    // Выходы блока: «Дальше» (если есть вход) и по одному на каждый слот
+    static portsOf(name) {
+        const slots = (BLOCK_SPECS[name]?.slots ?? []).map((_, i) => this.slotPort(i));
+        return this.hasInput(name) ? [this.NEXT, ...slots] : slots;
+    }
+    // Слой для проводов и протягивание провода от порта
+    init() {
+        const area = this.workspace.element;
+        if (!area)
+            return;
+        this.layer = document.createElementNS(NodeGraph.SVG_NS, 'svg');
+        this.layer.classList.add('wire-layer');
+        area.appendChild(this.layer);
+        area.addEventListener('pointerdown', (e) => this.onPortDown(e));
+    }
+    wireFrom(block, port) {
+        return this.wires.find(w => w.from === block && w.port === port);
+    }
+    // Блоки поля, в которые не входит ни один провод
+    heads() {
+        return this.workspace.getTopBlocks().filter(block => !this.wires.some(w => w.to === block));
+    }
+    // Блоки, до которых не дойти от начала цепочек: провода замкнулись в круг
+    unreached() {
+        const reached = new Set();
+        const visit = (block) => {
+            if (reached.has(block))
+                return;
+            reached.add(block);
+            this.wires.filter(w => w.from === block).forEach(w => visit(w.to));
+        };
+        this.heads().forEach(visit);
+        return new Set(this.workspace.getTopBlocks().filter(block => !reached.has(block)));
+    }
+    // Соединяем выход со входом; прежний провод с этого выхода и провод в этот вход снимаются
+    connect(from, port, to) {
+        if (from === to || !NodeGraph.hasInput(to.data.name) || !NodeGraph.portsOf(from.data.name).includes(port))
+            return false;
+        if (port !== NodeGraph.NEXT && !from.canAccept(to.data.category, to.data.shape))
+            return false;
+        this.wires = this.wires.filter(w => !(w.from === from && w.port === port) && w.to !== to);
+        this.wires.push({ from, port, to });
+        return true;
+    }
+    // Новый блок встаёт в цепочку сразу после anchor (у «Начала» и «Функции» — в начало тела)
+    chainAfter(anchor, block) {
+        const port = NodeGraph.hasInput(anchor.data.name) ? NodeGraph.NEXT : NodeGraph.slotPort(0);
+        const old = this.wireFrom(anchor, port);
+        if (!this.connect(anchor, port, block))
+            return;
+        if (old)
+            this.connect(block, NodeGraph.NEXT, old.to);
+    }
+    // Провода к удалённым блокам или блокам, которые больше не лежат на поле, исчезают
+    prune() {
+        const onField = (block) => block.element.parentElement === this.workspace.element;
+        this.wires = this.wires.filter(w => onField(w.from) && onField(w.to));
+    }
+    // Провода блока для файла проекта: выход -> номер блока в списке верхнего уровня
+    linksOf(block, top) {
+        const out = this.wires.filter(w => w.from === block);
+        if (this.workspace.view !== 'nodes' || out.length === 0)
+            return undefined;
+        return Object.fromEntries(out.map(w => [w.port, top.indexOf(w.to)]));
+    }
+    // Провода из файла проекта (номера уже проверены при разборе)
+    restoreLinks(blocks, saved) {
+        saved.forEach((item, i) => Object.entries(item.links || {}).forEach(([port, target]) => {
+            this.wires.push({ from: blocks[i], port, to: blocks[target] });
+        }));
+    }
+    // Вложенные блоки выносим на поле и соединяем проводами так, как они лежали в слотах:
+    // вложенность уходит вправо, порядок выполнения — вниз
+    flatten(roots) {
+        const area = this.workspace.element;
+        let bottom = -Infinity;
+        roots.filter(root => root.getSlots().some(slot => Utils.blocksIn(slot).length > 0)).forEach(root => {
+            const left = parseFloat(root.element.style.left) || 0;
+            let y = Math.max(parseFloat(root.element.style.top) || 0, bottom + NodeGraph.GAP);
+            const place = (block, depth) => {
+                const slots = block.getSlots().map(slot => Utils.blocksIn(slot));
+                slots.flat().forEach(child => area.appendChild(child.element));
+                Object.assign(block.element.style, {
+                    position: 'absolute', width: '', left: `${left + depth * NodeGraph.COLUMN}px`, top: `${y}px`
+                });
+                y += block.element.offsetHeight + NodeGraph.GAP;
+                slots.forEach((children, i) => children.forEach((child, k) => {
+                    this.wires.push(k === 0
+                        ? { from: block, port: NodeGraph.slotPort(i), to: child }
+                        : { from: children[k - 1], port: NodeGraph.NEXT, to: child });
+                    place(child, depth + 1);
+                }));
+            };
+            place(root, 0);
+            bottom = y - NodeGraph.GAP;
+        });
+    }
+    // Авторасстановка узлов как при flatten: каждый блок на своей высоте, содержимое слотов правее,
+    // цепочки друг под другом; блоки из круга проводов — в конце
+    arrange() {
+        const placed = new Set();
+        let y = NodeGraph.GAP;
+        const place = (block, depth) => {
+            if (placed.has(block))
+                return;
+            placed.add(block);
+            Object.assign(block.element.style, { left: `${NodeGraph.GAP + depth * NodeGraph.COLUMN}px`, top: `${y}px` });
+            y += block.element.offsetHeight + NodeGraph.GAP;
+            block.getSlots().forEach((_, i) => chain(this.wireFrom(block, NodeGraph.slotPort(i))?.to, depth + 1));
+        };
+        const chain = (start, depth) => {
+            for (let block = start; block && !placed.has(block); block = this.wireFrom(block, NodeGraph.NEXT)?.to)
+                place(block, depth);
+        };
+        this.heads().forEach(head => chain(head, 0));
+        this.workspace.getTopBlocks().forEach(block => chain(block, 0));
+    }
+    // Обратно в слоты: цепочки по проводам раскладываются внутрь блоков; null — получилось
+    nest() {
+        if (this.unreached().size > 0)
+            return "Провода образуют замкнутый круг — разорвите его, чтобы вернуться к блокам";
+        const fill = (block) => block.getSlots().forEach((slot, i) => {
+            for (let wire = this.wireFrom(block, NodeGraph.slotPort(i)); wire; wire = this.wireFrom(wire.to, NodeGraph.NEXT)) {
+                this.workspace.putInSlot(wire.to, slot, null);
+                fill(wire.to);
+            }
+        });
+        // Цепочка от блока без входа остаётся на поле — ей некуда вложиться
+        this.heads().forEach(head => {
+            for (let block = head; block; block = this.wireFrom(block, NodeGraph.NEXT)?.to)
+                fill(block);
+        });
+        this.wires = [];
+        return null;
+    }
+    // Дерево программы по проводам: на верхнем уровне — цепочки от блоков, в которые провод не входит
+    build() {
+        const builder = new ProgramBuilder();
+        const blocks = new Map();
+        const toNode = (block, slots) => {
+            const node = builder.node(block.data.name, block.getInputs().map(input => input.value), slots);
+            blocks.set(node.id, block);
+            return node;
+        };
+        const chain = (start) => {
+            const nodes = [];
+            for (let block = start; block; block = this.wireFrom(block, NodeGraph.NEXT)?.to) {
+                nodes.push(toNode(block, block.getSlots().map((_, i) => chain(this.wireFrom(block, NodeGraph.slotPort(i))?.to))));
+            }
+            return nodes;
+        };
+        const top = this.heads().filter(block => BLOCK_SPECS[block.data.name]).flatMap(head => chain(head));
+        // Блоки в круге проводов в программу не попадают, но подсвечиваются
+        const problems = [...this.unreached()].map(block => ({
+            node: toNode(block, []),
+            message: "Блок соединён проводами по кругу: у этой цепочки нет начала",
+            severity: 'error'
+        }));
+        return { program: ProgramBuilder.assemble(top), blocks, problems };
+    }
+    // Перерисовка всех проводов; провода внутри круга — красные
+    redraw() {
+        const area = this.workspace.element;
+        if (!this.layer || !area)
+            return;
+        this.layer.querySelectorAll('.wire:not(.wire-pending)').forEach(path => path.remove());
+        if (this.workspace.view !== 'nodes')
+            return;
+        this.layer.setAttribute('width', String(area.scrollWidth));
+        this.layer.setAttribute('height', String(area.scrollHeight));
+        const broken = this.unreached();
+        this.wires.forEach(wire => {
+            const out = wire.from.element.querySelector(`:scope > .node-outputs > [data-port="${wire.port}"]`);
+            const input = wire.to.element.querySelector(':scope > .port-in');
+            if (!out || !input)
+                return;
+            const path = this.path(this.anchor(out, 'bottom'), this.anchor(input, 'center'));
+            path.classList.add(wire.port === NodeGraph.NEXT ? 'wire-next' : 'wire-slot');
+            path.classList.toggle('wire-error', broken.has(wire.from));
+            this.layer.appendChild(path);
+        });
+    }
+    // Точка порта в координатах поля
+    anchor(el, edge) {
+        const rect = el.getBoundingClientRect();
+        return this.workspace.viewport.toWorld(rect.left + rect.width / 2, edge === 'bottom' ? rect.bottom : rect.top + rect.height / 2);
+    }
+    // Плавная кривая сверху вниз от выхода ко входу
+    path(from, to, path) {
+        path ?? (path = document.createElementNS(NodeGraph.SVG_NS, 'path'));
+        const bend = Math.max(30, Math.abs(to.y - from.y) / 2);
+        path.setAttribute('d', `M ${from.x} ${from.y} C ${from.x} ${from.y + bend}, ${to.x} ${to.y - bend}, ${to.x} ${to.y}`);
+        path.classList.add('wire');
+        return path;
+    }
+    // Тянем провод от выхода; за вход — снимаем входящий провод и ведём его заново
+    onPortDown(e) {
+        const port = e.target instanceof Element ? e.target.closest('.node-port') : null;
+        const block = port?.closest('.workspace-item')?.blockInstance;
+        if (!port || !block || e.button !== 0 || this.workspace.view !== 'nodes')
+            return;
+        e.preventDefault();
+        e.stopPropagation();
+        let from = block;
+        let name = port.dataset.port || '';
+        let origin = port;
+        if (port.classList.contains('port-in')) {
+            const wire = this.wires.find(w => w.to === block);
+            if (!wire)
+                return;
+            this.wires = this.wires.filter(w => w !== wire);
+            ({ from, port: name } = wire);
+            origin = from.element.querySelector(`:scope > .node-outputs > [data-port="${name}"]`) || port;
+        }
+        else {
+            this.wires = this.wires.filter(w => !(w.from === from && w.port === name));
+        }
+        const start = this.anchor(origin, 'bottom');
+        const pending = this.path(start, start);
+        pending.classList.add('wire-pending');
+        this.layer?.appendChild(pending);
+        this.redraw();
+        const onMove = (ev) => this.path(start, this.workspace.viewport.toWorld(ev.clientX, ev.clientY), pending);
+        const onUp = (ev) => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+            pending.remove();
+            const target = ev.type === 'pointerup'
+                ? document.elementsFromPoint(ev.clientX, ev.clientY).find(el => el.classList.contains('port-in'))
+                : undefined;
+            const to = target?.closest('.workspace-item')?.blockInstance;
+            if (to)
+                this.connect(from, name, to);
+            this.workspace.notifyChange();
+        };
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+    }
+}
+NodeGraph.NEXT = 'next';
+NodeGraph.SVG_NS = 'http://www.w3.org/2000/svg';
+// Раскладка при переходе в режим узлов: сдвиг вправо на уровень вложенности и зазор между блоками
+NodeGraph.COLUMN = 260;
+NodeGraph.GAP = 28;
+// Окно просмотра поля: сдвиг (фон, пробел, колесо), масштаб (Ctrl+колесо и кнопки), «вписать» и миникарта.
+// Блоки хранят координаты поля, а сам #workspace сдвигается и масштабируется через transform
+class Viewport {
+    constructor(workspace) {
+        this.element = Utils.$('#workspace-viewport');
+        this.minimap = Utils.$('#workspace-minimap');
+        this.zoom = 1;
+        // Где в окне оказывается начало координат поля
+        this.pan = { x: 0, y: 0 };
+        // Пробел зажат: любое нажатие в окне сдвигает поле
+        this.spaceHeld = false;
+        // Как поле отображено на миникарту при последней отрисовке; пока миникарту тянут, не меняется
+        this.map = { x: 0, y: 0, scale: 1 };
+        this.mapLocked = false;
+        this.workspace = workspace;
+    }
+    init() {
+        const view = this.element;
+        if (!view)
+            return;
+        // На захвате: пробел и средняя кнопка сдвигают поле, даже если нажали по блоку
+        view.addEventListener('pointerdown', (e) => this.onPointerDown(e), true);
+        view.addEventListener('wheel', (e) => this.onWheel(e), { passive: false });
+        // Прокрутку, которую делает сам браузер (фокус на поле за краем окна), превращаем в сдвиг
+        view.addEventListener('scroll', () => {
+            if (!view.scrollLeft && !view.scrollTop)
+                return;
+            this.pan.x -= view.scrollLeft;
+            this.pan.y -= view.scrollTop;
+            view.scrollLeft = 0;
+            view.scrollTop = 0;
+            this.apply();
+        });
+        // Пробел — сдвиг, только если он не нужен элементу в фокусе (кнопке, полю, блоку)
+        document.addEventListener('keydown', (e) => {
+            if (e.key !== ' ' || e.target.closest?.('[tabindex], a, button, input, select, textarea'))
+                return;
+            e.preventDefault();
+            this.setSpace(true);
+        });
+        document.addEventListener('keyup', (e) => {
+            if (e.key === ' ')
+                this.setSpace(false);
+        });
+        window.addEventListener('blur', () => this.setSpace(false));
+        this.minimap?.addEventListener('pointerdown', (e) => this.onMinimapDown(e));
+        Utils.$('#zoom-in')?.addEventListener('click', () => this.zoomBy(Viewport.ZOOM_STEP));
+        Utils.$('#zoom-out')?.addEventListener('click', () => this.zoomBy(1 / Viewport.ZOOM_STEP));
+        Utils.$('#zoom-reset')?.addEventListener('click', () => this.zoomBy(1 / this.zoom));
+        Utils.$('#zoom-fit')?.addEventListener('click', () => this.fit());
+        this.apply();
+    }
+    setSpace(held) {
+        this.spaceHeld = held;
+        this.element?.classList.toggle('pan-ready', held);
+    }
+    // Пустое место поля: само окно, слой блоков или надпись-подсказка
+    isBackground(target) {
+        return target === this.element || target === this.workspace.element
+            || (target instanceof Element && target.classList.contains('workspace-placeholder'));
+    }
+    // Точка экрана -> координаты поля
+    toWorld(x, y) {
+        const origin = this.origin();
+        return { x: (x - origin.x - this.pan.x) / this.zoom, y: (y - origin.y - this.pan.y) / this.zoom };
+    }
+    // Видимая часть поля в его координатах
+    visibleRect() {
+        const view = this.element;
+        return {
+            x: -this.pan.x / this.zoom,
+            y: -this.pan.y / this.zoom,
+            width: (view?.clientWidth ?? 0) / this.zoom,
+            height: (view?.clientHeight ?? 0) / this.zoom
+        };
+    }
+    // Внутренний верхний левый угол окна на экране — от него отсчитывается сдвиг
+    origin() {
+        const view = this.element;
+        if (!view)
+            return { x: 0, y: 0 };
+        const rect = view.getBoundingClientRect();
+        return { x: rect.left + view.clientLeft, y: rect.top + view.clientTop };
+    }
+    // Меняем масштаб так, чтобы точка поля под (x, y) осталась на месте
+    zoomAt(zoom, x, y) {
+        const point = this.toWorld(x, y);
+        const origin = this.origin();
+        this.zoom = Utils.clamp(zoom, Viewport.MIN_ZOOM, Viewport.MAX_ZOOM);
+        this.pan = { x: x - origin.x - point.x * this.zoom, y: y - origin.y - point.y * this.zoom };
+        this.apply();
+    }
+    // Масштаб кнопками — относительно середины окна
+    zoomBy(factor) {
+        const origin = this.origin();
+        this.zoomAt(this.zoom * factor, origin.x + (this.element?.clientWidth ?? 0) / 2, origin.y + (this.element?.clientHeight ?? 0) / 2);
+    }
+    // Блок в координатах поля (для блоков верхнего уровня)
+    boxOf(block) {
+        const { left, top } = this.workspace.positionOf(block);
+        return { x: left, y: top, width: block.element.offsetWidth, height: block.element.offsetHeight };
+    }
+    // «Вписать»: все блоки в окне, крупнее 100% не увеличиваем
+    fit() {
+        const view = this.element;
+        const boxes = this.workspace.getTopBlocks().map(block => this.boxOf(block));
+        if (!view)
+            return;
+        if (boxes.length === 0) {
+            this.zoom = 1;
+            this.pan = { x: 0, y: 0 };
+            this.apply();
+            return;
+        }
+        const left = Math.min(...boxes.map(b => b.x));
+        const top = Math.min(...boxes.map(b => b.y));
+        const right = Math.max(...boxes.map(b => b.x + b.width));
+        const bottom = Math.max(...boxes.map(b => b.y + b.height));
+        const zoom = Math.min((view.clientWidth - 2 * Viewport.MARGIN) / Math.max(1, right - left), (view.clientHeight - 2 * Viewport.MARGIN) / Math.max(1, bottom - top), 1);
+        this.zoom = Utils.clamp(zoom, Viewport.MIN_ZOOM, Viewport.MAX_ZOOM);
+        this.pan = {
+            x: (view.clientWidth - (left + right) * this.zoom) / 2,
+            y: (view.clientHeight - (top + bottom) * this.zoom) / 2
+        };
+        this.apply();
+    }
+    // Точка поля — в середину окна
+    centerOn(point) {
+        this.pan = {
+            x: (this.element?.clientWidth ?? 0) / 2 - point.x * this.zoom,
+            y: (this.element?.clientHeight ?? 0) / 2 - point.y * this.zoom
+        };
+        this.apply();
+    }
+    // Элемент за краем окна — сдвигаем поле так, чтобы он оказался посередине
+    reveal(el) {
+        if (!this.element)
+            return;
+        const rect = el.getBoundingClientRect();
+        const view = this.element.getBoundingClientRect();
+        if (rect.left >= view.left && rect.right <= view.right && rect.top >= view.top && rect.bottom <= view.bottom)
+            return;
+        this.pan.x += view.left + view.width / 2 - (rect.left + rect.width / 2);
+        this.pan.y += view.top + view.height / 2 - (rect.top + rect.height / 2);
+        this.apply();
+    }
+    // Сдвиг и масштаб — слою блоков, процент — на кнопку, и перерисовка миникарты
+    apply() {
+        if (this.workspace.element) {
+            this.workspace.element.style.transform = `translate(${this.pan.x}px, ${this.pan.y}px) scale(${this.zoom})`;
+        }
+        const label = Utils.$('#zoom-reset');
+        if (label)
+            label.textContent = `${Math.round(this.zoom * 100)}%`;
+        this.drawMinimap();
+    }
+    onPointerDown(e) {
+        const background = this.isBackground(e.target);
+        // Shift по фону — рамка выделения (её рисует BlockSelection)
+        const pan = e.button === 1 || (e.button === 0 && (this.spaceHeld || (background && !e.shiftKey)));
+        if (!pan)
             return;
         e.preventDefault();
         e.stopPropagation();
-        const item = block.element;
-        let rect = item.getBoundingClientRect();
-        if (item.parentElement?.classList.contains('block-slot')) {
-            const wsRect = this.element.getBoundingClientRect();
-            this.element.appendChild(item);
-            item.style.position = 'absolute';
-            item.style.width = '';
-            item.style.left = `${rect.left - wsRect.left + this.element.scrollLeft}px`;
-            item.style.top = `${rect.top - wsRect.top + this.element.scrollTop}px`;
-            rect = item.getBoundingClientRect();
+        const start = { x: e.clientX, y: e.clientY, pan: { ...this.pan } };
+        let moved = false;
+        this.element?.classList.add('panning');
+        const onMove = (ev) => {
+            const dx = ev.clientX - start.x;
+            const dy = ev.clientY - start.y;
+            if (!moved && Math.hypot(dx, dy) < Viewport.DRAG_THRESHOLD)
+                return;
+            moved = true;
+            this.pan = { x: start.pan.x + dx, y: start.pan.y + dy };
+            this.apply();
+        };
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+            this.element?.classList.remove('panning');
+            // Простой щелчок по пустому месту снимает выделение
+            if (!moved && background && e.button === 0 && !this.spaceHeld)
+                this.workspace.selection.clear();
+        };
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+    }
+    // Колесо сдвигает поле, Ctrl+колесо (и щипок на тачпаде) меняет масштаб вокруг указателя
+    onWheel(e) {
+        e.preventDefault();
+        const unit = e.deltaMode === 1 ? 16 : 1;
+        if (e.ctrlKey || e.metaKey) {
+            this.zoomAt(this.zoom * Math.exp(-e.deltaY * unit * 0.002), e.clientX, e.clientY);
+            return;
         }
-        this.activeBlock = block;
-        let offsetX = e.clientX - rect.left;
-        if (offsetX > rect.width)
-            offsetX = rect.width / 2;
-        this.offset = { x: offsetX, y: e.clientY - rect.top };
-        item.classList.add('dragging');
-        item.style.zIndex = "1000";
-        document.addEventListener('mousemove', this.onMove);
-        document.addEventListener('mouseup', this.onUp, { once: true });
+        // Shift+колесо мыши — сдвиг вбок
+        const sideways = e.shiftKey && !e.deltaX;
+        this.pan.x -= (sideways ? e.deltaY : e.deltaX) * unit;
+        this.pan.y -= (sideways ? 0 : e.deltaY) * unit;
+        this.apply();
     }
-    // Процесс перемещения (mousemove)
-    dragging(e) {
-        if (!this.activeBlock || !this.element)
+    // Нажатие и перетаскивание по миникарте ставит это место поля в середину окна
+    onMinimapDown(e) {
+        const canvas = this.minimap;
+        if (e.button !== 0)
             return;
-        const wsRect = this.element.getBoundingClientRect();
-        let x = e.clientX - this.offset.x - wsRect.left + this.element.scrollLeft;
-        let y = e.clientY - this.offset.y - wsRect.top + this.element.scrollTop;
-        x = Math.max(0, x);
-        y = Math.max(0, y);
-        this.activeBlock.element.style.left = `${x}px`;
-        this.activeBlock.element.style.top = `${y}px`;
-        this.clearHighlights();
-        const targetSlot = this.findValidSlot(e.clientX, e.clientY);
-        if (targetSlot)
-            targetSlot.classList.add('drag-over');
+        e.preventDefault();
+        e.stopPropagation();
+        this.mapLocked = true;
+        const onMove = (ev) => {
+            const rect = canvas.getBoundingClientRect();
+            const x = (ev.clientX - rect.left) * (canvas.width / (rect.width || canvas.width));
+            const y = (ev.clientY - rect.top) * (canvas.height / (rect.height || canvas.height));
+            this.centerOn({ x: (x - this.map.x) / this.map.scale, y: (y - this.map.y) / this.map.scale });
+        };
+        const onUp = () => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+            this.mapLocked = false;
+            this.drawMinimap();
+        };
+        onMove(e);
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
     }
-    // Конец перетаскивания (mouseup)
-    dragEnd() {
-        if (!this.activeBlock)
+    // Миникарта: блоки верхнего уровня цветом категории и рамка видимой части
+    drawMinimap() {
+        const canvas = this.minimap;
+        const ctx = canvas?.getContext('2d');
+        if (!canvas || !ctx)
             return;
-        document.removeEventListener('mousemove', this.onMove);
-        const rect = this.activeBlock.element.getBoundingClientRect();
-        const slot = this.findValidSlot(rect.left + rect.width / 2, rect.top + 10);
-        if (slot) {
-            const afterEl = this.getInsertAfter(slot, rect.top + 10);
-            if (afterEl)
-                slot.insertBefore(this.activeBlock.element, afterEl);
-            else
-                slot.appendChild(this.activeBlock.element);
-            // Меняем позиционирование на относительное (внутри слота)
-            Object.assign(this.activeBlock.element.style, { position: 'relative', left: '0', top: '0', width: '100%' });
-        }
-        else {
-            this.activeBlock.element.style.width = '';
+        const visible = this.visibleRect();
+        const boxes = this.workspace.getTopBlocks().map(block => ({ ...this.boxOf(block), color: getComputedStyle(block.element).backgroundColor }));
+        if (!this.mapLocked) {
+            const all = [visible, ...boxes];
+            const left = Math.min(...all.map(b => b.x));
+            const top = Math.min(...all.map(b => b.y));
+            const width = Math.max(1, Math.max(...all.map(b => b.x + b.width)) - left);
+            const height = Math.max(1, Math.max(...all.map(b => b.y + b.height)) - top);
+            const scale = Math.min(canvas.width / width, canvas.height / height);
+            this.map = {
+                x: (canvas.width - width * scale) / 2 - left * scale,
+                y: (canvas.height - height * scale) / 2 - top * scale,
+                scale
+            };
         }
-        this.activeBlock.element.style.zIndex = "10";
-        this.activeBlock.element.classList.remove('dragging');
-        this.activeBlock = null;
-        this.clearHighlights();
-        this.updateDataPercents();
-        this.syncLinkedLists();
+        const { x, y, scale } = this.map;
+        ctx.clearRect(0, 0, canvas.width, canvas.height);
+        boxes.forEach(box => {
+            ctx.fillStyle = box.color;
+            ctx.fillRect(x + box.x * scale, y + box.y * scale, Math.max(2, box.width * scale), Math.max(2, box.height * scale));
+        });
+        ctx.strokeStyle = '#0d6efd';
+        ctx.lineWidth = 1.5;
+        ctx.strokeRect(x + visible.x * scale, y + visible.y * scale, visible.width * scale, visible.height * scale);
     }
-    // Проходим по всем контейнерам и заново выстраиваем связи next/previous
-    syncLinkedLists() {
-        const containers = [this.element, ...Array.from(document.querySelectorAll('.block-slot'))];
-        containers.forEach(container => {
-            if (!container)
+}
+Viewport.MIN_ZOOM = 0.25;
+Viewport.MAX_ZOOM = 2;
+// Во сколько раз меняет масштаб одно нажатие кнопки
+Viewport.ZOOM_STEP = 1.25;
+// Отступ от краёв окна, когда всё поле вписывается в экран
+Viewport.MARGIN = 40;
+// Насколько сдвинуть указатель, чтобы нажатие на фон стало сдвигом, а не щелчком
+Viewport.DRAG_THRESHOLD = 4;
+// История изменений рабочей области: снимок блоков после каждого изменения, Ctrl+Z / Ctrl+Shift+Z
+class EditHistory {
+    constructor(workspace) {
+        this.states = [];
+        this.index = -1;
+        // Источник последнего шага (поле ввода): следующие правки того же поля дописываются в этот шаг
+        this.mergeKey = null;
+        // Пока восстанавливаем снимок, изменения поля в историю не пишем
+        this.restoring = false;
+        this.undoBtn = null;
+        this.redoBtn = null;
+        this.workspace = workspace;
+    }
+    // Кнопки, горячие клавиши и начальное состояние (после восстановления автосохранения)
+    init() {
+        this.undoBtn = Utils.$('#undo-workspace');
+        this.redoBtn = Utils.$('#redo-workspace');
+        this.undoBtn?.addEventListener('click', () => this.undo());
+        this.redoBtn?.addEventListener('click', () => this.redo());
+        document.addEventListener('keydown', (e) => {
+            if (!(e.ctrlKey || e.metaKey))
                 return;
-            const childBlocks = Array.from(container.querySelectorAll(':scope > .workspace-item:not(.dragging)'))
-                .map(el => el.blockInstance)
-                .filter(b => b);
-            for (let i = 0; i < childBlocks.length; i++) {
-                const block = childBlocks[i];
-                block.previous = null;
-                block.next = null;
-                if (i > 0)
-                    childBlocks[i - 1].insertAfter(block);
-            }
+            // В текстовых полях работает обычная отмена набора
+            if (e.target instanceof Element && e.target.closest('input, textarea, select'))
+                return;
+            const key = e.key.toLowerCase();
+            if (key === 'z' && !e.shiftKey)
+                this.undo();
+            else if ((key === 'z' && e.shiftKey) || key === 'y')
+                this.redo();
+            else
+                return;
+            e.preventDefault();
         });
+        this.reset();
     }
-    // Ищет подходящий слот под мышкой
-    findValidSlot(x, y) {
-        if (!this.activeBlock || !this.activeBlock.isMovableToSlot())
-            return null;
-        const targets = document.elementsFromPoint(x, y);
-        for (const el of targets) {
-            const htmlEl = el;
-            if (htmlEl.classList.contains('block-slot')) {
-                const parentInstance = htmlEl.closest('.workspace-item')?.blockInstance;
-                if (parentInstance && parentInstance.canAccept(this.activeBlock.data.category, this.activeBlock.data.shape)) {
-                    if (this.activeBlock.element.contains(htmlEl))
-                        continue;
-                    return htmlEl;
-                }
-            }
+    // Текущее поле становится началом истории
+    reset() {
+        this.states = [this.snapshot()];
+        this.index = 0;
+        this.mergeKey = null;
+        this.updateButtons();
+    }
+    // Блоки вместе с видом поля: переход между блоками и узлами тоже можно отменить
+    snapshot() {
+        const { view, blocks } = ProjectSerializer.serialize(this.workspace);
+        return JSON.stringify({ view, blocks });
+    }
+    // Новый шаг после изменения; всё, что было отменено, забывается
+    record(mergeKey = null) {
+        if (this.restoring)
+            return;
+        const state = this.snapshot();
+        if (state === this.states[this.index])
+            return;
+        this.states.length = this.index + 1;
+        if (mergeKey !== null && mergeKey === this.mergeKey && this.index > 0) {
+            this.states[this.index] = state;
         }
-        return null;
+        else {
+            this.states.push(state);
+            if (this.states.length > EditHistory.LIMIT)
+                this.states.shift();
+            this.index = this.states.length - 1;
+        }
+        this.mergeKey = mergeKey;
+        this.updateButtons();
     }
-    // Настройка приема новых блоков из меню
-    setupDrop() {
-        if (!this.element)
+    canUndo() {
+        return this.index > 0 && Debugger.state === 'idle';
+    }
+    canRedo() {
+        return this.index < this.states.length - 1 && Debugger.state === 'idle';
+    }
+    undo() {
+        if (!this.canUndo())
             return;
-        this.element.ondragover = (e) => e.preventDefault();
-        this.element.ondrop = (e) => {
-            e.preventDefault();
-            const json = e.dataTransfer?.getData('text/plain');
-            if (!json)
-                return;
-            const block = this.createBlock(JSON.parse(json));
-            this.element.appendChild(block.element);
-            const wsRect = this.element.getBoundingClientRect();
-            // Ставим блок там, где отпустили мышь
-            let x = e.clientX - wsRect.left - (block.element.offsetWidth / 2) + this.element.scrollLeft;
-            let y = e.clientY - wsRect.top - (block.element.offsetHeight / 2) + this.element.scrollTop;
-            block.element.style.left = `${Math.max(0, x)}px`;
-            block.element.style.top = `${Math.max(0, y)}px`;
-            this.updateDataPercents();
-            this.syncLinkedLists();
-            Utils.$('.workspace-placeholder')?.remove();
+        this.index--;
+        this.apply();
+    }
+    redo() {
+        if (!this.canRedo())
+            return;
+        this.index++;
+        this.apply();
+    }
+    // Раскладываем блоки из снимка: позиции и порядок в слотах — как были
+    apply() {
+        this.restoring = true;
+        try {
+            const { view, blocks } = JSON.parse(this.states[this.index]);
+            this.workspace.loadBlocks(blocks, view);
+        }
+        finally {
+            this.restoring = false;
+        }
+        this.mergeKey = null;
+        this.updateButtons();
+    }
+    // Кнопки доступны, только когда есть куда идти
+    updateButtons() {
+        if (this.undoBtn)
+            this.undoBtn.disabled = !this.canUndo();
+        if (this.redoBtn)
+            this.redoBtn.disabled = !this.canRedo();
+    }
+}
+EditHistory.LIMIT = 100;
+// Перевод рабочей области в JSON-документ и обратно
+class ProjectSerializer {
+    // Снимок всей рабочей области (в режиме узлов — вместе с проводами)
+    static serialize(workspace) {
+        const top = workspace.getTopBlocks();
+        return {
+            format: this.FORMAT,
+            version: this.VERSION,
+            savedAt: new Date().toISOString(),
+            blocks: top.map(block => {
+                const saved = this.serializeBlock(block, true);
+                const links = workspace.graph.linksOf(block, top);
+                if (links)
+                    saved.links = links;
+                return saved;
+            }),
+            limits: { ...workspace.limits },
+            view: workspace.view
         };
     }
-    // Поиск соседа внутри слота, чтобы вставить блок между другими
-    getInsertAfter(slot, y) {
-        const elements = [...slot.querySelectorAll(':scope > .workspace-item:not(.dragging)')];
-        return elements.reduce((closest, child) => {
-            const box = child.getBoundingClientRect();
-            const offset = y - (box.top + box.height / 2);
-            return offset < 0 && offset > closest.offset ? { offset, element: child } : closest;
-        }, { offset: Number.NEGATIVE_INFINITY, element: null }).element;
+    // Один блок вместе со всем, что вложено в его слоты
+    static serializeBlock(block, withPosition = false) {
+        const saved = {
+            data: { ...block.data },
+            inputs: block.getInputs().map(input => input.value),
+            slots: block.getSlots().map(slot => Array.from(slot.querySelectorAll(':scope > .workspace-item'))
+                .map(el => el.blockInstance)
+                .filter(b => b)
+                .map(child => this.serializeBlock(child)))
+        };
+        const inputs = block.getInputs();
+        const expressions = block.expressionFields.filter(field => field.blockMode);
+        if (expressions.length > 0) {
+            saved.expressions = Object.fromEntries(expressions.map(field => [inputs.indexOf(field.input), field.save()]));
+        }
+        if (block.breakpoint)
+            saved.breakpoint = true;
+        if (withPosition) {
+            saved.position = {
+                left: parseFloat(block.element.style.left) || 0,
+                top: parseFloat(block.element.style.top) || 0
+            };
+        }
+        return saved;
     }
-    // Сброс подсветки у всех слотов
-    clearHighlights() { Utils.$$('.block-slot').forEach(s => s.classList.remove('drag-over')); }
-    // Конвертируем пиксели в проценты (нужно для адаптивности)
-    updateDataPercents() {
-        if (!this.element)
-            return;
-        const rect = this.element.getBoundingClientRect();
-        Utils.$$('.workspace-item').forEach(item => {
-            if (item.parentElement === this.element) {
-                item.dataset.leftPercent = ((parseFloat(item.style.left) / rect.width) * 100).toString();
-                item.dataset.topPercent = ((parseFloat(item.style.top) / rect.height) * 100).toString();
-            }
-        });
+    // Разбор текста файла: проверка формата и миграция старых версий
+    static parse(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        }
+        catch {
+            throw new Error("Файл проекта повреждён: некорректный JSON");
+        }
+        if (!doc || typeof doc !== 'object' || doc.format !== this.FORMAT) {
+            throw new Error("Это не файл проекта Block_Code");
+        }
+        if (!Number.isInteger(doc.version) || doc.version < 1) {
+            throw new Error(`Неизвестная версия файла: ${doc.version}`);
+        }
+        if (doc.version > this.VERSION) {
+            throw new Error(`Файл создан более новой версией (v${doc.version}), поддерживается до v${this.VERSION}`);
+        }
+        doc = this.migrate(doc);
+        if (!Array.isArray(doc.blocks))
+            throw new Error("В файле проекта нет списка блоков");
+        doc.blocks.forEach((b) => this.validateBlock(b));
+        this.validateLimits(doc.limits);
+        if (doc.view !== 'blocks' && doc.view !== 'nodes')
+            throw new Error(`Неизвестный вид рабочей области: ${doc.view}`);
+        this.validateLinks(doc.blocks);
+        return doc;
     }
-    // Если поле пустое — показываем надпись
-    checkEmpty() {
-        if (Utils.$$('.workspace-item').length === 0 && !Utils.$('.workspace-placeholder')) {
-            this.element?.insertAdjacentHTML('afterbegin', '<div class="workspace-placeholder">Перетащите сюда элементы из меню</div>');
+    // Фрагмент из буфера обмена; null — это не скопированные блоки
+    static parseFragment(text) {
+        let doc;
+        try {
+            doc = JSON.parse(text);
+        }
+        catch {
+            return null;
+        }
+        if (!doc || typeof doc !== 'object' || doc.format !== BlockSelection.FRAGMENT_FORMAT)
+            return null;
+        if (!Number.isInteger(doc.version) || doc.version > this.VERSION) {
+            throw new Error(`Блоки скопированы из более новой версии (v${doc.version})`);
         }
+        doc = this.migrate(doc);
+        if (!Array.isArray(doc.blocks))
+            throw new Error("Во фрагменте нет списка блоков");
+        doc.blocks.forEach((b) => this.validateBlock(b));
+        return doc.blocks;
     }
-    // Полная очистка поля
-    clear() {
-        Utils.$$('.workspace-item').forEach(el => el.remove());
-        this.syncLinkedLists();
-        this.checkEmpty();
-        Interpreter.clear();
+    // Доводим документ старой версии до текущей по цепочке миграций
+    static migrate(doc) {
+        while (doc.version < this.VERSION) {
+            const migrate = this.migrations[doc.version];
+            if (!migrate)
+                throw new Error(`Версия файла v${doc.version} больше не поддерживается`);
+            doc = migrate(doc);
+        }
+        return doc;
     }
-    // Возвращаем блоки на места при ресайзе окна
-    updatePositions() {
-        if (!this.element)
-            return;
-        const rect = this.element.getBoundingClientRect();
-        Utils.$$('.workspace-item').forEach(item => {
-            if (item.parentElement !== this.element)
+    // Каждый лимит — целое число не меньше 1
+    static validateLimits(limits) {
+        if (!limits || typeof limits !== 'object')
+            throw new Error("В файле проекта нет лимитов выполнения");
+        Object.keys(CONFIG.LIMITS).forEach(key => {
+            if (!Number.isInteger(limits[key]) || limits[key] < 1) {
+                throw new Error(`Лимит «${LimitError.LABELS[key]}» должен быть целым числом не меньше 1`);
+            }
+        });
+    }
+    // Провода режима узлов: известный выход, существующий блок и не больше одного провода на вход
+    static validateLinks(blocks) {
+        const targets = new Set();
+        blocks.forEach(b => {
+            if (b.links === undefined)
                 return;
-            const lp = parseFloat(item.dataset.leftPercent || '0');
-            const tp = parseFloat(item.dataset.topPercent || '0');
-            item.style.left = `${(lp / 100) * rect.width}px`;
-            item.style.top = `${(tp / 100) * rect.height}px`;
+            if (!b.links || typeof b.links !== 'object')
+                throw new Error(`Провода блока '${b.data.name}' сохранены в неверном формате`);
+            Object.entries(b.links).forEach(([port, target]) => {
+                if (!NodeGraph.portsOf(b.data.name).includes(port)) {
+                    throw new Error(`У блока '${b.data.name}' нет выхода '${port}'`);
+                }
+                if (!Number.isInteger(target) || !blocks[target]) {
+                    throw new Error(`Провод из блока '${b.data.name}' никуда не ведёт`);
+                }
+                if (!NodeGraph.hasInput(blocks[target].data.name)) {
+                    throw new Error(`У блока '${blocks[target].data.name}' нет входа для провода`);
+                }
+                if (targets.has(target)) {
+                    throw new Error(`В блок '${blocks[target].data.name}' входит больше одного провода`);
+                }
+                targets.add(target);
+            });
+        });
+    }
+    // Проверка структуры блока, чтобы не упасть посреди загрузки
+    static validateBlock(b) {
+        if (!b || typeof b !== 'object' || !b.data || typeof b.data.name !== 'string') {
+            throw new Error("Файл проекта содержит блок без имени");
+        }
+        const spec = BLOCK_SPECS[b.data.name];
+        if (!spec)
+            throw new Error(`Неизвестный тип блока: ${b.data.name}`);
+        if (!Array.isArray(b.inputs) || !Array.isArray(b.slots)) {
+            throw new Error(`Блок '${b.data.name}' сохранён в неверном формате`);
+        }
+        if (b.slots.length > spec.slots.length) {
+            throw new Error(`У блока '${b.data.name}' нет слота №${spec.slots.length + 1}`);
+        }
+        if (b.expressions !== undefined) {
+            const valid = b.expressions && typeof b.expressions === 'object'
+                && Object.values(b.expressions).every(expr => expr === null || this.isExpression(expr));
+            if (!valid)
+                throw new Error(`Выражение в блоке '${b.data.name}' сохранено в неверном формате`);
+        }
+        b.slots.forEach((slot) => {
+            if (!Array.isArray(slot))
+                throw new Error(`Слот блока '${b.data.name}' сохранён в неверном формате`);
+            slot.forEach((child) => this.validateBlock(child));
         });
     }
+    // Дерево блоков-выражений: известный вид и дырки, в которых снова выражения или пусто
+    static isExpression(e) {
+        return !!e && typeof e === 'object' && Object.keys(ExpressionBlock.KINDS).includes(e.kind)
+            && Array.isArray(e.args) && e.args.every((arg) => arg === null || this.isExpression(arg));
+    }
 }
+ProjectSerializer.FORMAT = 'block_code-project';
+ProjectSerializer.VERSION = 4;
+// Миграции: ключ — версия, из которой переводим документ в следующую
+ProjectSerializer.migrations = {
+    // v2: у блока "Массив" первым полем стал тип элементов; старые массивы — int
+    1: doc => {
+        const visit = (b) => {
+            if (b?.data?.name === 'Массив' && Array.isArray(b.inputs))
+                b.inputs.unshift('int');
+            (b?.slots || []).forEach((slot) => Array.isArray(slot) && slot.forEach(visit));
+        };
+        (doc.blocks || []).forEach(visit);
+        return { ...doc, version: 2 };
+    },
+    // v3: лимиты выполнения хранятся в проекте; старым проектам — значения по умолчанию
+    2: doc => ({ ...doc, version: 3, limits: { ...CONFIG.LIMITS } }),
+    // v4: режим узлов с проводами; старые проекты открываются в обычном виде
+    3: doc => ({ ...doc, version: 4, view: 'blocks' })
+};
 // Управление выезжающим меню слева
 class SlidingMenu {
-    constructor() {
+    constructor(workspace) {
         this.panel = Utils.$('.sliding');
         this.buttons = {
             starts: Utils.$('#button-tag-starts'),
             variables: Utils.$('#button-tag-variables'),
             string: Utils.$('#button-tag-string'),
-            operators: Utils.$('#button-tag-operators')
+            operators: Utils.$('#button-tag-operators'),
+            functions: Utils.$('#button-tag-functions'),
+            expressions: Utils.$('#button-tag-expressions')
         };
         this.cats = {
             starts: Utils.$('#category-starts'),
             variables: Utils.$('#category-variables'),
             string: Utils.$('#category-string'),
-            operators: Utils.$('#category-operators')
+            operators: Utils.$('#category-operators'),
+            functions: Utils.$('#category-functions'),
+            expressions: Utils.$('#category-expressions')
         };
         this.activeBtn = null;
+        this.workspace = workspace;
     }
     // Инициализация кнопок
     init() {
@@ -932,16 +5972,104 @@ class SlidingMenu {
                 e.stopPropagation();
                 this.toggle(btn, this.cats[key]);
             });
+            // Enter или пробел на вкладке открывают категорию и переводят фокус на её первый блок
+            btn?.addEventListener('keydown', (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ')
+                    return;
+                e.preventDefault();
+                this.toggle(btn, this.cats[key]);
+                if (this.activeBtn === btn)
+                    this.focusFirstItem();
+            });
+        });
+        document.addEventListener('keydown', (e) => {
+            // Alt+N — к блокам меню (по коду клавиши, чтобы работало и в русской раскладке)
+            if (e.altKey && e.code === 'KeyN') {
+                e.preventDefault();
+                if (!this.activeBtn)
+                    this.toggle(this.buttons.starts, this.cats.starts);
+                this.focusFirstItem();
+            }
+            else if (e.key === 'Escape' && e.target.closest?.('.sliding')) {
+                this.hide();
+                this.workspace.keyboard.focusCurrent();
+            }
         });
         this.observeChanges();
     }
-    // Подготовка блоков в меню к перетаскиванию
+    // Подготовка блоков в меню: перетаскивание указателем и вставка с клавиатуры
     setupDraggable() {
         Utils.$$('.function-item').forEach(item => {
-            item.draggable = true;
-            item.ondragstart = (e) => e.dataTransfer?.setData('text/plain', JSON.stringify(Utils.getItemData(item)));
+            item.tabIndex = 0;
+            item.setAttribute('role', 'button');
+            const data = Utils.getItemData(item);
+            item.setAttribute('aria-label', `Добавить блок «${data.name}»`);
+            // Блоки-выражения ложатся не на поле, а в дырки и поля других блоков
+            const kind = data.category === 'expression' ? ExpressionBlock.kindOf(data.name) : undefined;
+            item.onpointerdown = (e) => kind
+                ? this.workspace.expressions.drag(e, () => new ExpressionBlock(kind))
+                : this.dragFromMenu(e, item);
+            item.onkeydown = (e) => {
+                if (e.key !== 'Enter' && e.key !== ' ')
+                    return;
+                e.preventDefault();
+                this.hide();
+                if (kind)
+                    this.workspace.expressions.insert(kind);
+                else
+                    this.workspace.insertNew(data);
+            };
         });
     }
+    // Тянем блок из меню: после небольшого сдвига создаём блок и ведём его за указателем
+    dragFromMenu(e, item) {
+        if (e.button !== 0)
+            return;
+        e.preventDefault();
+        const start = { x: e.clientX, y: e.clientY };
+        let block = null;
+        const onMove = (ev) => {
+            if (!block) {
+                if (Math.hypot(ev.clientX - start.x, ev.clientY - start.y) < SlidingMenu.DRAG_THRESHOLD)
+                    return;
+                block = this.workspace.createBlock(Utils.getItemData(item));
+                block.element.classList.add('dragging');
+                document.body.appendChild(block.element);
+            }
+            // Призрак того же размера, что и блоки на поле при текущем масштабе
+            Object.assign(block.element.style, {
+                position: 'fixed',
+                zIndex: "1000",
+                transform: `scale(${this.workspace.viewport.zoom})`,
+                left: `${ev.clientX - block.element.offsetWidth / 2}px`,
+                top: `${ev.clientY - block.element.offsetHeight / 2}px`
+            });
+            this.workspace.highlightSlot(block, ev.clientX, ev.clientY);
+        };
+        const onUp = (ev) => {
+            document.removeEventListener('pointermove', onMove);
+            document.removeEventListener('pointerup', onUp);
+            document.removeEventListener('pointercancel', onUp);
+            if (!block)
+                return;
+            block.element.classList.remove('dragging');
+            if (ev.type === 'pointerup' && this.workspace.isOver(ev.clientX, ev.clientY)) {
+                this.workspace.dropNew(block, ev.clientX, ev.clientY);
+            }
+            else {
+                block.element.remove();
+                this.workspace.clearHighlights();
+            }
+        };
+        document.addEventListener('pointermove', onMove);
+        document.addEventListener('pointerup', onUp);
+        document.addEventListener('pointercancel', onUp);
+    }
+    // Фокус на первый блок открытой категории
+    focusFirstItem() {
+        Object.values(this.cats).find(cat => cat?.classList.contains('active'))
+            ?.querySelector('.function-item')?.focus();
+    }
     // Открыть/закрыть категорию
     toggle(btn, cat) {
         if (this.activeBtn === btn)
@@ -968,11 +6096,257 @@ class SlidingMenu {
         new MutationObserver(() => this.setupDraggable()).observe(this.panel, { childList: true, subtree: true });
     }
 }
+// Насколько сдвинуть указатель, чтобы нажатие на блок меню стало перетаскиванием
+SlidingMenu.DRAG_THRESHOLD = 4;
+// Сохранение проекта в файл / localStorage и загрузка обратно
+class ProjectStorage {
+    constructor(workspace) {
+        this.autosaveBtn = Utils.$('#autosave-toggle');
+        this.fileInput = Utils.$('#open-project-input');
+        this.workspace = workspace;
+    }
+    // Вешаем обработчики на кнопки и подписываемся на изменения поля
+    init() {
+        Utils.$('#save-project')?.addEventListener('click', () => this.saveToFile());
+        Utils.$('#open-project')?.addEventListener('click', () => this.fileInput?.click());
+        Utils.$('#restore-project')?.addEventListener('click', () => this.restore());
+        this.autosaveBtn?.addEventListener('click', () => this.setAutosave(!this.isAutosaveEnabled()));
+        this.fileInput?.addEventListener('change', () => {
+            const file = this.fileInput?.files?.[0];
+            if (file)
+                this.openFile(file);
+            this.fileInput.value = '';
+        });
+        this.updateAutosaveButton();
+        // После перезагрузки вкладки сразу возвращаем последнюю работу
+        if (this.isAutosaveEnabled() && localStorage.getItem(CONFIG.STORAGE_KEYS.autosave)) {
+            this.restore();
+        }
+        this.workspace.onChange = () => this.scheduleAutosave();
+    }
+    // Скачиваем проект как .json
+    saveToFile() {
+        const project = ProjectSerializer.serialize(this.workspace);
+        const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'block_code-project.json';
+        link.click();
+        URL.revokeObjectURL(url);
+        Interpreter.print("Проект сохранён в файл.", "system");
+    }
+    // Читаем выбранный пользователем файл
+    async openFile(file) {
+        try {
+            const project = ProjectSerializer.parse(await file.text());
+            this.workspace.load(project);
+            Interpreter.print(`Проект загружен из файла ${file.name}.`, "system");
+        }
+        catch (error) {
+            Interpreter.print(`Не удалось открыть проект: ${error.message}`, "error");
+        }
+    }
+    // Восстанавливаем последнее автосохранение
+    restore() {
+        const text = localStorage.getItem(CONFIG.STORAGE_KEYS.autosave);
+        if (!text) {
+            Interpreter.print("Автосохранение не найдено.", "error");
+            return;
+        }
+        try {
+            this.workspace.load(ProjectSerializer.parse(text));
+            Interpreter.print("Проект восстановлен из автосохранения.", "system");
+        }
+        catch (error) {
+            Interpreter.print(`Не удалось восстановить проект: ${error.message}`, "error");
+        }
+    }
+    // Включено ли автосохранение (по умолчанию — да)
+    isAutosaveEnabled() {
+        return localStorage.getItem(CONFIG.STORAGE_KEYS.autosaveEnabled) !== 'false';
+    }
+    // Переключаем автосохранение
+    setAutosave(enabled) {
+        localStorage.setItem(CONFIG.STORAGE_KEYS.autosaveEnabled, String(enabled));
+        this.updateAutosaveButton();
+        if (enabled)
+            this.scheduleAutosave();
+    }
+    // Текст и вид кнопки отражают текущее состояние
+    updateAutosaveButton() {
+        if (!this.autosaveBtn)
+            return;
+        const enabled = this.isAutosaveEnabled();
+        this.autosaveBtn.textContent = enabled ? 'Автосохранение: вкл' : 'Автосохранение: выкл';
+        this.autosaveBtn.classList.toggle('active', enabled);
+    }
+    // Сохраняем не на каждое нажатие клавиши, а после паузы
+    scheduleAutosave() {
+        if (!this.isAutosaveEnabled())
+            return;
+        window.clearTimeout(this.autosaveTimer);
+        this.autosaveTimer = window.setTimeout(() => {
+            const project = ProjectSerializer.serialize(this.workspace);
+            localStorage.setItem(CONFIG.STORAGE_KEYS.autosave, JSON.stringify(project));
+        }, 500);
+    }
+}
+// Окно "Лимиты выполнения": значения хранятся в Workspace и сохраняются вместе с проектом
+class LimitsDialog {
+    constructor(workspace) {
+        this.errorBox = Utils.$('#limits-error');
+        this.workspace = workspace;
+    }
+    init() {
+        Utils.$('#limits-modal')?.addEventListener('show.bs.modal', () => this.fill(this.workspace.limits));
+        Utils.$('#limits-reset')?.addEventListener('click', () => this.fill(CONFIG.LIMITS));
+        Utils.$('#limits-save')?.addEventListener('click', () => {
+            if (this.save())
+                window.bootstrap?.Modal.getOrCreateInstance(Utils.$('#limits-modal')).hide();
+        });
+    }
+    inputs() {
+        return Array.from(Utils.$$('[data-limit]'));
+    }
+    fill(limits) {
+        this.inputs().forEach(input => input.value = String(limits[input.dataset.limit]));
+        this.showError(null);
+    }
+    // Берём значения из полей; при ошибке показываем её и оставляем окно открытым
+    save() {
+        const limits = { ...this.workspace.limits };
+        this.inputs().forEach(input => limits[input.dataset.limit] = Number(input.value));
+        try {
+            ProjectSerializer.validateLimits(limits);
+        }
+        catch (error) {
+            this.showError(error.message);
+            return false;
+        }
+        this.workspace.limits = limits;
+        this.workspace.notifyChange();
+        this.showError(null);
+        Interpreter.print("Лимиты выполнения сохранены.", "system");
+        return true;
+    }
+    showError(message) {
+        if (!this.errorBox)
+            return;
+        this.errorBox.textContent = message || '';
+        this.errorBox.hidden = !message;
+    }
+}
+// Окно "Экспорт кода": программа с поля как C++ или псевдокод, с копированием и скачиванием
+class CodeExport {
+    constructor(workspace) {
+        this.mode = 'cpp';
+        this.output = Utils.$('#export-output');
+        this.workspace = workspace;
+    }
+    // Кнопки режимов, копирование и скачивание; текст обновляется при каждом открытии окна
+    init() {
+        Utils.$('#export-modal')?.addEventListener('show.bs.modal', () => this.render());
+        document.querySelectorAll('[data-export-mode]').forEach(btn => {
+            btn.addEventListener('click', () => this.setMode(btn.dataset.exportMode));
+        });
+        Utils.$('#export-copy')?.addEventListener('click', () => this.copy());
+        Utils.$('#export-download')?.addEventListener('click', () => this.download());
+    }
+    // Текст программы в выбранном виде
+    generate() {
+        const { program } = this.workspace.buildProgram();
+        return CodeExport.MODES[this.mode].generator().generate(program);
+    }
+    setMode(mode) {
+        if (!CodeExport.MODES[mode])
+            return;
+        this.mode = mode;
+        document.querySelectorAll('[data-export-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.exportMode === mode);
+        });
+        this.render();
+    }
+    render() {
+        if (this.output)
+            this.output.textContent = this.generate();
+    }
+    async copy() {
+        try {
+            await navigator.clipboard.writeText(this.generate());
+            Interpreter.print("Код скопирован в буфер обмена.", "system");
+        }
+        catch (error) {
+            Interpreter.print(`Не удалось скопировать код: ${error.message}`, "error");
+        }
+    }
+    download() {
+        const { file, type } = CodeExport.MODES[this.mode];
+        const url = URL.createObjectURL(new Blob([this.generate()], { type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = file;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
+CodeExport.MODES = {
+    cpp: { generator: () => new CppGenerator(), file: 'program.cpp', type: 'text/x-c++src' },
+    pseudo: { generator: () => new PseudocodeGenerator(), file: 'program.txt', type: 'text/plain' }
+};
+// Окно "Импорт кода": текст на C++ превращается в блоки на поле
+class CodeImport {
+    constructor(workspace) {
+        this.source = Utils.$('#import-source');
+        this.errorBox = Utils.$('#import-error');
+        this.replace = Utils.$('#import-replace');
+        this.workspace = workspace;
+    }
+    init() {
+        Utils.$('#import-apply')?.addEventListener('click', () => {
+            if (this.apply(this.source?.value || ''))
+                this.hide();
+        });
+        Utils.$('#import-modal')?.addEventListener('show.bs.modal', () => this.showError(null));
+    }
+    // Разбираем текст и кладём блоки на поле; при ошибке показываем её и оставляем окно открытым
+    apply(text) {
+        let blocks;
+        try {
+            blocks = new CppImporter(name => Utils.paletteData(name)).parse(text);
+        }
+        catch (error) {
+            this.showError(error.message);
+            return false;
+        }
+        if (this.replace?.checked ?? true)
+            this.workspace.loadBlocks(blocks);
+        else
+            this.workspace.addBlocks(blocks, 0);
+        this.showError(null);
+        Interpreter.print("Программа импортирована из текста.", "system");
+        return true;
+    }
+    showError(message) {
+        if (!this.errorBox)
+            return;
+        this.errorBox.textContent = message || '';
+        this.errorBox.hidden = !message;
+    }
+    hide() {
+        const modal = Utils.$('#import-modal');
+        window.bootstrap?.Modal.getOrCreateInstance(modal).hide();
+    }
+}
 // Главный класс приложения
 class App {
     constructor() {
         this.workspace = new Workspace();
-        this.menu = new SlidingMenu();
+        this.menu = new SlidingMenu(this.workspace);
+        this.storage = new ProjectStorage(this.workspace);
+        this.codeExport = new CodeExport(this.workspace);
+        this.codeImport = new CodeImport(this.workspace);
+        this.limitsDialog = new LimitsDialog(this.workspace);
         // Ждем загрузки страницы
         document.addEventListener('DOMContentLoaded', () => this.start());
     }
@@ -980,9 +6354,21 @@ class App {
     start() {
         this.workspace.init();
         this.menu.init();
+        this.storage.init();
+        this.workspace.history.init();
+        this.codeExport.init();
+        this.codeImport.init();
+        this.limitsDialog.init();
+        RunSpeed.init();
+        Debugger.init(this.workspace);
         // Вешаем события на главные кнопки
         Utils.$('#clear-workspace')?.addEventListener('click', () => this.workspace.clear());
         Utils.$('#start-workspace')?.addEventListener('click', () => Interpreter.run(this.workspace));
+        Utils.$('#check-workspace')?.addEventListener('click', () => Interpreter.check(this.workspace));
+        Utils.$('#view-toggle')?.addEventListener('click', () => this.workspace.setView(this.workspace.view === 'nodes' ? 'blocks' : 'nodes'));
+        Utils.$('#expressions-to-blocks')?.addEventListener('click', () => this.workspace.expressions.convertAll(true));
+        Utils.$('#expressions-to-text')?.addEventListener('click', () => this.workspace.expressions.convertAll(false));
+        Utils.$('#auto-arrange')?.addEventListener('click', () => this.workspace.arrange());
         // Закрываем меню, если кликнули мимо
         document.addEventListener('click', (e) => {
             if (!e.target.closest('.button-tag, .sliding'))
@@ -990,6 +6376,14 @@ class App {
         });
     }
 }
-// Запуск приложения
-new App();
+// Запуск приложения (вне браузера файл можно подключить ради ProgramInterpreter)
+if (typeof document !== 'undefined')
+    new App();
+if (typeof module !== 'undefined') {
+    module.exports = {
+        CONFIG, BLOCK_SPECS, ValueTypes, Builtins, BufferedInput, Environment, LimitError,
+        ExpressionParser, ExpressionEvaluator, ProgramBuilder, ProgramChecker, ProgramInterpreter,
+        ProjectSerializer, CppImporter, CppGenerator, PseudocodeGenerator
+    };
+}
 //# sourceMappingURL=index.js.map
\ No newline at end of file
@@ -0,0 +1,161 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CppGenerator, CppImporter, ProgramBuilder, itemData, block, run } = require('./helpers');
+
+// C++ для тела "Начало"
+function cpp(body) {
+    return new CppGenerator().generate(ProgramBuilder.fromSerialized([block('Начало', [], [body])]));
+}
+
+test('экспорт: строка в число — через stoi/stof, а не приведением типа', () => {
+    const code = cpp([
+        block('Строки', ['s']),
+        block('Переменная', ['n']),
+        block('Вещественные', ['x']),
+        block('Присвоить', ['n', 'int(s) + int(x)']),
+        block('Присвоить', ['x', 'float(s + "5")'])
+    ]);
+    assert.match(code, /n = stoi\(s\) \+ int\(x\);/);
+    assert.match(code, /x = stof\(s \+ "5"\);/);
+});
+
+test('экспорт: upper() и lower() получают свои функции', () => {
+    const code = cpp([block('Строки', ['s']), block('Вывести', ['upper(s), lower("AB")'])]);
+    assert.match(code, /#include <cctype>/);
+    assert.match(code, /string upper\(string s\) \{\n {4}for \(char &c : s\) c = toupper\(\(unsigned char\)c\);/);
+    assert.match(code, /string lower\(string s\) \{/);
+    assert.match(code, /cout << upper\(s\) << " " << lower\("AB"\) << endl;/);
+    assert.doesNotMatch(cpp([block('Вывести', ['1'])]), /cctype|string upper/);
+});
+
+// Блоки из текста на C++
+function importCpp(source) {
+    return new CppImporter(itemData).parse(source);
+}
+
+// Блоки тела "Начало" кратко: имя и поля
+function outline(blocks) {
+    return blocks[0].slots[0].map(b => [b.data.name, ...b.inputs]);
+}
+
+test('импорт: инициализатор идёт сразу за своим объявлением', async () => {
+    const blocks = importCpp('int n = 3, a[n];\na[2] = 5;\ncout << a[2] << endl;');
+    assert.deepEqual(outline(blocks), [
+        ['Переменная', 'n'],
+        ['Присвоить', 'n', '3'],
+        ['Массив', 'int', 'a', 'n', '', ''],
+        ['Присвоить', 'a[2]', '5'],
+        ['Вывести', 'a[2]']
+    ]);
+    assert.deepEqual(await run(blocks), ['5']);
+});
+
+test('импорт: числа вида .5 и 1. записываются полностью', async () => {
+    const blocks = importCpp('float y = .5, z = 1., w = .5e1;\ncout << y + z << " " << w << endl;');
+    assert.deepEqual(outline(blocks).slice(1, 4), [['Присвоить', 'y', '0.5'], ['Присвоить', 'z', '1.0'], ['Присвоить', 'w', '0.5e1']]);
+    assert.deepEqual(await run(blocks), ['1.5 5']);
+});
+
+test('импорт: cout << endl; — пустая строка, как её выгружает экспорт', async () => {
+    const blocks = importCpp('cout << 1 << endl;\ncout << endl;\ncout << 2 << endl;');
+    assert.deepEqual(outline(blocks)[1], ['Вывести', '""']);
+    assert.deepEqual(await run(blocks), ['1', '', '2']);
+    assert.match(new CppGenerator().generate(ProgramBuilder.fromSerialized(blocks)), /cout << 1 << endl;\n {4}cout << "" << endl;\n/);
+    assert.throws(() => importCpp('cout;'), /Строка 1, столбец 1: Ожидалось 'cout << значение'/);
+});
+
+test('экспорт: массив целиком выводится циклом, len() массива — через sizeof', () => {
+    const code = cpp([
+        block('Массив', ['int', 'arr', '', '', '{1, 2, 3}']),
+        block('Массив', ['int', 'm', '2', '2', '']),
+        block('Вывести', ['"a:", arr, len(arr)']),
+        block('Вывести', ['m'])
+    ]);
+    assert.ok(code.includes([
+        '    cout << "a:" << " " << "{";',
+        '    for (size_t i = 0; i < sizeof(arr) / sizeof(arr[0]); i++) cout << (i > 0 ? ", " : "") << arr[i];',
+        '    cout << "}" << " " << sizeof(arr) / sizeof(arr[0]) << endl;',
+        '    cout << "{";',
+        '    for (size_t i = 0; i < sizeof(m) / sizeof(m[0]); i++) {',
+        '        cout << (i > 0 ? ", {" : "{");',
+        '        for (size_t j = 0; j < sizeof(m[0]) / sizeof(m[0][0]); j++) cout << (j > 0 ? ", " : "") << m[i][j];',
+        '        cout << "}";',
+        '    }',
+        '    cout << "}" << endl;'
+    ].join('\n')), code);
+});
+
+test('экспорт: логические значения выводятся как true/false, импорт пропускает boolalpha', async () => {
+    const code = cpp([block('Логические', ['ok']), block('Присвоить', ['ok', '1 < 2']), block('Вывести', ['ok, NOT ok'])]);
+    assert.match(code, /int main\(\) \{\n {4}cout << boolalpha;\n {4}bool ok;/);
+    assert.doesNotMatch(cpp([block('Вывести', ['1 + 2'])]), /boolalpha/);
+    const blocks = importCpp(code);
+    assert.deepEqual(outline(blocks).map(([name]) => name), ['Логические', 'Присвоить', 'Вывести']);
+    assert.deepEqual(await run(blocks), ['true false']);
+});
+
+// C++ всей сохранённой программы
+function exportCpp(blocks) {
+    return new CppGenerator().generate(ProgramBuilder.fromSerialized(blocks));
+}
+
+test('туда и обратно: C++ → блоки → C++ → те же блоки', async () => {
+    const source = [
+        '#include <iostream>',
+        '#include <string>',
+        'using namespace std;',
+        '',
+        'int main() {',
+        '    int n;',
+        '    cin >> n;',
+        '    int a[5] = {1, 2, 3, 4, 5};',
+        '    string name = "Ann";',
+        '    int total = 0;',
+        '    for (int i = 0; i < 5; i++) {',
+        '        total += a[i];',
+        '    }',
+        '    double avg = total / 5.0;',
+        '    int k = 0;',
+        '    while (k < n) {',
+        '        if (k % 2 == 0) {',
+        '            cout << name << " " << k << endl;',
+        '        } else {',
+        '            cout << avg << endl;',
+        '        }',
+        '        k++;',
+        '    }',
+        '    return 0;',
+        '}'
+    ].join('\n');
+    const blocks = importCpp(source);
+    const code = exportCpp(blocks);
+    const again = importCpp(code);
+
+    assert.deepEqual(again, blocks);
+    assert.equal(exportCpp(again), code);
+    assert.deepEqual(await run(blocks, { input: '3\n' }), ['Ann 0', '3', 'Ann 2']);
+    assert.deepEqual(await run(again, { input: '3\n' }), ['Ann 0', '3', 'Ann 2']);
+});
+
+test('туда и обратно: блоки → C++ → блоки исполняются так же', async () => {
+    const program = [block('Начало', [], [[
+        block('Массив', ['int', 'm', '2', '3', '{{1, 2, 3}, {4, 5, 6}}']),
+        block('Символы', ['c']),
+        block('Логические', ['found']),
+        block('Присвоить', ['c', "'x'"]),
+        block('Для', ['int i = 0', 'i < 2', 'i++'], [[
+            block('Для', ['int j = 0', 'j < 3', 'j += 1'], [[
+                block('Если', ['m[i][j] % 2 == 0 && NOT found'], [[
+                    block('Присвоить', ['found', 'true']),
+                    block('Вывести', ['"чётное:", m[i][j], c'])
+                ]])
+            ]])
+        ]]),
+        block('Вывести', ['found, m[1][2]'])
+    ]])];
+    const expected = await run(program);
+    const blocks = importCpp(exportCpp(program));
+
+    assert.deepEqual(await run(blocks), expected);
+    assert.equal(exportCpp(blocks), exportCpp(program));
+});
@@ -0,0 +1,101 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Environment, ExpressionParser } = require('./helpers');
+
+// Окружение с несколькими переменными и массивами для вычисления выражений
+function environment() {
+    const env = new Environment();
+    env.declareVar('x', 'int', 5);
+    env.declareVar('f', 'float', 2.5);
+    env.declareVar('s', 'string', 'hello');
+    env.declareArray('arr', 'int', [3]).values[1] = 7;
+    env.declareArray('m', 'int', [2, 2]).values[3] = 9;
+    return env;
+}
+
+// Результат выражения в виде [тип, значение]
+async function value(text) {
+    const result = await environment().evaluate(text);
+    return [result.type, result.value];
+}
+
+test('приоритет операторов задаёт форму дерева', () => {
+    const tree = new ExpressionParser().parse('a && !b || c');
+    assert.equal(tree.kind, 'binary');
+    assert.equal(tree.op, 'OR');
+    assert.equal(tree.left.op, 'AND');
+    assert.deepEqual(tree.left.right, { kind: 'unary', op: 'NOT', operand: { kind: 'var', name: 'b' } });
+});
+
+test('индексы, вызовы и унарный минус разбираются вложенно', () => {
+    const tree = new ExpressionParser().parse('-m[i][j + 1] * f(1, g(2))');
+    assert.equal(tree.op, '*');
+    assert.equal(tree.left.kind, 'unary');
+    assert.equal(tree.left.operand.kind, 'index');
+    assert.equal(tree.left.operand.indices.length, 2);
+    assert.equal(tree.right.kind, 'call');
+    assert.equal(tree.right.args[1].name, 'g');
+});
+
+test('разобранное выражение берётся из кэша', () => {
+    assert.equal(ExpressionParser.parseCached('x + 1'), ExpressionParser.parseCached('x + 1'));
+});
+
+test('синтаксические ошибки называют причину', () => {
+    const parser = new ExpressionParser();
+    assert.throws(() => parser.parse('1 +'), /Неожиданный конец выражения/);
+    assert.throws(() => parser.parse('(1'), /Неожиданный конец выражения/);
+    assert.throws(() => parser.parse('f(1,'), /Неожиданный конец выражения/);
+    assert.throws(() => parser.parse('1 2'), /лишний токен '2'/);
+    assert.throws(() => parser.parse('*3'), /Недопустимый токен: \*/);
+});
+
+test('арифметика различает целые и вещественные', async () => {
+    assert.deepEqual(await value('1 + 2 * 3'), ['int', 7]);
+    assert.deepEqual(await value('(1 + 2) * 3'), ['int', 9]);
+    assert.deepEqual(await value('7 / 2'), ['int', 3]);
+    assert.deepEqual(await value('7 / 2.0'), ['float', 3.5]);
+    assert.deepEqual(await value('-7 % 3'), ['int', -1]);
+    assert.deepEqual(await value('f * 2'), ['float', 5]);
+});
+
+test('сравнения и логика дают bool, правая часть не вычисляется зря', async () => {
+    assert.deepEqual(await value('x > 3 && x < 10'), ['bool', true]);
+    assert.deepEqual(await value('NOT (x == 5)'), ['bool', false]);
+    assert.deepEqual(await value('1 == 1.0'), ['bool', true]);
+    assert.deepEqual(await value('"abc" < "abd"'), ['bool', true]);
+    assert.deepEqual(await value('false AND 1 / 0 == 1'), ['bool', false]);
+    assert.deepEqual(await value('true OR 1 / 0 == 1'), ['bool', true]);
+});
+
+test('строки, символы и массивы', async () => {
+    assert.deepEqual(await value('"a" + \'b\''), ['string', 'ab']);
+    assert.deepEqual(await value('s[1]'), ['char', 'e']);
+    assert.deepEqual(await value('arr[1] + m[1][1]'), ['int', 16]);
+    assert.deepEqual(await value('len(arr)'), ['int', 3]);
+});
+
+test('встроенные функции и преобразования типов', async () => {
+    assert.deepEqual(await value('len(s)'), ['int', 5]);
+    assert.deepEqual(await value('substr(s, 1, 3)'), ['string', 'ell']);
+    assert.deepEqual(await value('upper(s)'), ['string', 'HELLO']);
+    assert.deepEqual(await value('int("42") + 1'), ['int', 43]);
+    assert.deepEqual(await value('float("1.5")'), ['float', 1.5]);
+    assert.deepEqual(await value('str(x) + "!"'), ['string', '5!']);
+    assert.deepEqual(await value('max(2, 7.5)'), ['float', 7.5]);
+    assert.deepEqual(await value('round(2.5)'), ['int', 3]);
+    assert.deepEqual(await value('floor(-1.5)'), ['int', -2]);
+    assert.deepEqual(await value('ord(\'A\')'), ['int', 65]);
+    assert.deepEqual(await value('chr(66)'), ['char', 'B']);
+});
+
+test('ошибки вычисления понятны ученику', async () => {
+    await assert.rejects(value('x / 0'), /Деление на ноль/);
+    await assert.rejects(value('10 % 0'), /Деление на ноль/);
+    await assert.rejects(value('"a" + 1'), /Нельзя сложить string и int/);
+    await assert.rejects(value('arr[3]'), /Индекс 3 вне границ массива arr \(длина 3\)/);
+    await assert.rejects(value('s[5]'), /Индекс 5 вне границ строки s/);
+    await assert.rejects(value('y + 1'), /Переменная y не объявлена/);
+    await assert.rejects(value('int("4x")'), /Не удалось преобразовать "4x" в int/);
+    await assert.rejects(value('abs("x")'), /abs\(\): аргумент 1 должен быть number/);
+});
@@ -0,0 +1,34 @@
+// Общие заготовки для тестов: собранный js/index.js подключается как модуль Node
+const app = require('../js/index.js');
+
+const { CONFIG, Environment, ProgramBuilder, ProgramInterpreter, BufferedInput } = app;
+
+// Данные блока из меню: для программы без DOM важно только имя
+function itemData(name) {
+    return { name, description: '', category: 'starts', shape: 'square' };
+}
+
+// Сохранённый блок, как в файле проекта
+function block(name, inputs = [], slots = []) {
+    return { data: itemData(name), inputs, slots };
+}
+
+// Запуск сохранённых блоков; результат — строки блоков "Вывести" без журнала исполнения
+async function run(blocks, { input = '', limits = {} } = {}) {
+    const runLimits = { ...CONFIG.LIMITS, ...limits };
+    const runner = new ProgramInterpreter(new Environment(runLimits.maxCallDepth), runLimits);
+    const output = [];
+    const running = [];
+    runner.subscribe({
+        beforeNode: node => { running.push(node); },
+        afterNode: () => { running.pop(); },
+        onOutput: text => {
+            if (running[running.length - 1]?.kind === 'print') output.push(text);
+        }
+    });
+    runner.input = new BufferedInput(input);
+    await runner.run(ProgramBuilder.fromSerialized(blocks));
+    return output;
+}
+
+module.exports = { ...app, itemData, block, run };
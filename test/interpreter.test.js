@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { LimitError, ProjectSerializer, block, run } = require('./helpers');
+
+test('сохранённый проект исполняется без браузера', async () => {
+    const project = ProjectSerializer.parse(JSON.stringify({
+        format: 'block_code-project',
+        version: 4,
+        blocks: [
+            block('Функция', ['square', 'x'], [[block('Вернуть', ['x * x'])]]),
+            block('Начало', [], [[
+                block('Переменная', ['n']),
+                block('Ввести', ['n']),
+                block('Вывести', ['"Квадрат:", square(n)'])
+            ]])
+        ],
+        limits: { maxSteps: 1000, maxIterations: 100, maxCallDepth: 10, maxArraySize: 100 },
+        view: 'blocks'
+    }));
+
+    assert.deepEqual(await run(project.blocks, { input: '7\n' }), ['Квадрат: 49']);
+});
+
+// Программа из одного блока "Начало" с переданным телом
+function main(body) {
+    return [block('Начало', [], [body])];
+}
+
+test('циклы "Пока" и "Для" с прерыванием и продолжением', async () => {
+    const whileLoop = main([
+        block('Переменная', ['i']),
+        block('Пока', ['i < 3'], [[block('Вывести', ['i']), block('Присвоить', ['i', 'i + 1'])]])
+    ]);
+    assert.deepEqual(await run(whileLoop), ['0', '1', '2']);
+
+    const forLoop = main([
+        block('Переменная', ['i']),
+        block('Для', ['i = 0', 'i < 10', 'i = i + 1'], [[
+            block('Если', ['i == 2'], [[block('Продолжить')]]),
+            block('Если', ['i == 5'], [[block('Прервать')]]),
+            block('Вывести', ['i'])
+        ]])
+    ]);
+    assert.deepEqual(await run(forLoop), ['0', '1', '3', '4']);
+});
+
+test('функции возвращают значения и вызываются рекурсивно', async () => {
+    const program = [
+        block('Функция', ['fact', 'n'], [[
+            block('Если-Иначе', ['n <= 1'], [[block('Вернуть', ['1'])], [block('Вернуть', ['n * fact(n - 1)'])]])
+        ]]),
+        block('Функция', ['hi', 'who'], [[block('Вывести', ['"Привет,", who'])]]),
+        ...main([block('Вывести', ['fact(5)']), block('Вызвать', ['hi("мир")'])])
+    ];
+    assert.deepEqual(await run(program), ['120', 'Привет, мир']);
+});
+
+test('бесконечная рекурсия упирается в лимит глубины', async () => {
+    const program = [
+        block('Функция', ['down', 'n'], [[block('Вернуть', ['down(n + 1)'])]]),
+        ...main([block('Вывести', ['down(0)'])])
+    ];
+    await assert.rejects(run(program, { limits: { maxCallDepth: 20 } }),
+        err => err instanceof LimitError && /«глубина рекурсии» \(20\)/.test(err.message));
+});
+
+test('бесконечный цикл упирается в лимит шагов', async () => {
+    const program = main([
+        block('Переменная', ['i']),
+        block('Пока', ['true'], [[block('Присвоить', ['i', 'i + 1'])]])
+    ]);
+    await assert.rejects(run(program, { limits: { maxSteps: 500, maxIterations: 100000 } }),
+        err => err instanceof LimitError && /«шагов за запуск» \(500\)/.test(err.message));
+    await assert.rejects(run(program, { limits: { maxSteps: 1000000, maxIterations: 100 } }),
+        err => err instanceof LimitError && /«итераций одного цикла» \(100\)/.test(err.message));
+});
@@ -0,0 +1,57 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { CONFIG, ProjectSerializer, block } = require('./helpers');
+
+// Текст файла проекта текущей версии
+function projectText(blocks, extra = {}) {
+    return JSON.stringify({ format: 'block_code-project', version: 4, blocks, limits: { ...CONFIG.LIMITS }, view: 'blocks', ...extra });
+}
+
+test('неизвестный блок отклоняется до загрузки', () => {
+    const text = projectText([block('Начало', [], [[block('Телепорт', ['x'])]])]);
+    assert.throws(() => ProjectSerializer.parse(text), /Неизвестный тип блока: Телепорт/);
+});
+
+test('лишний слот отклоняется до загрузки', () => {
+    const text = projectText([block('Пока', ['x < 3'], [[], []])]);
+    assert.throws(() => ProjectSerializer.parse(text), /У блока 'Пока' нет слота №2/);
+});
+
+test('испорченный фрагмент из буфера обмена отклоняется целиком', () => {
+    const text = JSON.stringify({ format: 'block_code-fragment', version: 4, blocks: [block('Вывести', ['1']), block('Нечто')] });
+    assert.throws(() => ProjectSerializer.parseFragment(text), /Неизвестный тип блока: Нечто/);
+});
+
+test('проект v1 доводится миграциями до текущей версии', () => {
+    const text = JSON.stringify({
+        format: 'block_code-project',
+        version: 1,
+        blocks: [block('Начало', [], [[
+            block('Массив', ['a', '3', '', '{1, 2, 3}']),
+            block('Если', ['true'], [[block('Массив', ['b', '2', '2', ''])]])
+        ]])]
+    });
+    const project = ProjectSerializer.parse(text);
+    const [arrayA, branch] = project.blocks[0].slots[0];
+    assert.equal(project.version, 4);
+    assert.deepEqual(arrayA.inputs, ['int', 'a', '3', '', '{1, 2, 3}']);
+    assert.deepEqual(branch.slots[0][0].inputs, ['int', 'b', '2', '2', '']);
+    assert.deepEqual(project.limits, CONFIG.LIMITS);
+    assert.equal(project.view, 'blocks');
+});
+
+test('миграция v3 сохраняет лимиты проекта', () => {
+    const limits = { maxSteps: 50, maxIterations: 10, maxCallDepth: 5, maxArraySize: 20 };
+    const project = ProjectSerializer.parse(JSON.stringify({ format: 'block_code-project', version: 3, blocks: [], limits }));
+    assert.deepEqual(project.limits, limits);
+    assert.equal(project.view, 'blocks');
+});
+
+test('старый фрагмент из буфера обмена тоже мигрирует', () => {
+    const text = JSON.stringify({ format: 'block_code-fragment', version: 1, blocks: [block('Массив', ['a', '5', '', ''])] });
+    assert.deepEqual(ProjectSerializer.parseFragment(text)[0].inputs, ['int', 'a', '5', '', '']);
+});
+
+test('файл более новой версии не открывается', () => {
+    assert.throws(() => ProjectSerializer.parse(projectText([], { version: 5 })), /более новой версией \(v5\)/);
+});